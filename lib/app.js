@@ -0,0 +1,135 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const path = require('path');
+const crypto = require('crypto');
+const { createAuth } = require('./auth');
+const { createRateLimiter } = require('./rateLimit');
+const { createMetrics } = require('./metrics');
+const { createAuditLog } = require('./audit');
+const { logger: rootLogger } = require('./logger');
+const { MODES } = require('./config');
+const { createAuthRoutes } = require('./routes/auth');
+const { createGameRoutes } = require('./routes/game');
+const { createWalletRoutes } = require('./routes/wallet');
+const { createLimitsRoutes } = require('./routes/limits');
+const { createAdminRoutes } = require('./routes/admin');
+
+const JSON_LIMIT = process.env.JSON_LIMIT || '100kb';
+const ALLOWED_ORIGIN = process.env.CORS_ORIGIN;
+// When set, /metrics wants `Authorization: Bearer <METRICS_TOKEN>`
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+// How long past its end time a mode's latest round may go unsettled, or the
+// next one unopened, before the instance reports itself not ready
+const READY_OVERDUE_MS = parseInt(process.env.READY_OVERDUE_MS || '10000', 10);
+// An X-Request-Id from the proxy is kept if it looks sane; otherwise one is made
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+// Builds the Express app around the services in `deps`: clock, storage,
+// rounds (round engine), live (live updates), betting, loop (game loop),
+// metrics, audit (audit log) and logger. Nothing here starts timers or
+// connects to anything.
+function createApp(deps) {
+    const {
+        clock,
+        storage,
+        loop,
+        metrics = createMetrics(),
+        audit = createAuditLog(deps),
+        logger = rootLogger
+    } = deps;
+    const limiter = createRateLimiter(deps);
+    const routeDeps = { ...deps, metrics, audit, logger, auth: createAuth(deps), limiter };
+    const app = express();
+
+    // Every request gets an id, echoed in X-Request-Id and on each log line
+    // written through req.log. Finished requests are logged and timed; the
+    // metric is labelled by route pattern rather than URL, to keep the series
+    // few. Health checks, metrics and static files only log at debug.
+    app.use((req, res, next) => {
+        const start = process.hrtime.bigint();
+        const incoming = req.get('x-request-id');
+        req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+
+        res.on('finish', () => {
+            const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            metrics.httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+            const level = req.path.startsWith('/api/') ? 'info' : 'debug';
+            req.log[level]('Request finished', {
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode,
+                durationMs: Math.round(seconds * 1000)
+            });
+        });
+        next();
+    });
+
+    // Middleware
+    app.disable('x-powered-by');
+    app.set('trust proxy', 1);
+    app.use(express.json({ limit: JSON_LIMIT }));
+    const corsOptions = ALLOWED_ORIGIN ? { origin: ALLOWED_ORIGIN } : { origin: true };
+    app.use(cors(corsOptions));
+    app.use(helmet({
+        contentSecurityPolicy: false,
+    }));
+    app.use(express.static(path.join(__dirname, '..', 'public')));
+
+    app.use('/api', limiter.rateLimit('api'));
+
+    app.use(createAuthRoutes(routeDeps));
+    app.use(createGameRoutes(routeDeps));
+    app.use(createWalletRoutes(routeDeps));
+    app.use(createLimitsRoutes(routeDeps));
+    app.use(createAdminRoutes(routeDeps));
+
+    app.get('/health', (req, res) => {
+        const db = storage.connected() ? 'connected' : 'not_connected';
+        res.json({ status: 'ok', db, leader: loop.isLeader() });
+    });
+
+    // GET /health/live
+    // The process is up and serving requests
+    app.get('/health/live', (req, res) => {
+        res.json({ status: 'ok' });
+    });
+
+    // GET /health/ready
+    // 503 while storage is down or any mode's rounds have stalled. Rounds are
+    // shared, so a stalled loop makes every instance unready, not just the leader.
+    app.get('/health/ready', async (req, res) => {
+        try {
+            if (!storage.connected()) return res.status(503).json({ status: 'unavailable', db: 'not_connected' });
+
+            const now = clock.now();
+            const overdue = [];
+            for (const mode of Object.keys(MODES)) {
+                const round = await storage.rounds.latest(mode);
+                if (!round || now - round.endTime > READY_OVERDUE_MS) {
+                    overdue.push({ mode, period: round ? round.period : null, endTime: round ? round.endTime : null });
+                }
+            }
+            if (overdue.length > 0) return res.status(503).json({ status: 'unavailable', overdue });
+            res.json({ status: 'ok' });
+        } catch (err) {
+            req.log.error('Error in /health/ready', { err });
+            res.status(503).json({ status: 'unavailable' });
+        }
+    });
+
+    // GET /metrics
+    app.get('/metrics', (req, res) => {
+        if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
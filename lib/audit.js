@@ -0,0 +1,87 @@
+const { systemClock } = require('./clock');
+const { sha256Hex } = require('./fairness');
+
+// The audit trail is one append-only chain of entries, each holding the hash
+// of the one before it, so altering, removing or reordering any entry breaks
+// every hash after it. Publishing the head hash (/api/game/audit/head) lets
+// anyone hold the operator to the history up to that point.
+//
+// Entries are keyed like ledger entries: recording a key that is already on
+// the chain does nothing, so a retry after a crash never logs a step twice.
+// Settlement and refunds record their entries in the same transaction as the
+// changes they describe; conditional transitions (opening, locking, voiding)
+// are recorded once they happen. Every append writes the one head document,
+// which is why bets are recorded when their round locks rather than in each
+// bet transaction.
+const GENESIS_HASH = '0'.repeat(64);
+const VERIFY_PAGE_SIZE = 1000;
+
+// JSON with sorted keys, ObjectIds and Dates as strings and empty (null or
+// undefined) fields left out, so an entry hashes the same after a round trip
+// through storage, which may turn one into the other
+function canonicalJson(value) {
+    if (value === null || value === undefined) return 'null';
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (typeof value === 'object') {
+        if (typeof value.toHexString === 'function') return JSON.stringify(value.toHexString());
+        const fields = Object.keys(value)
+            .filter(key => value[key] !== undefined && value[key] !== null)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function hashEntry({ seq, type, key, at, data, prevHash }) {
+    return sha256Hex(canonicalJson({ seq, type, key, at, data, prevHash }));
+}
+
+function createAuditLog({ storage, clock = systemClock }) {
+    // Appends { type, key, data } to the chain, in `tx` when given and in a
+    // transaction of its own otherwise. Returns the entry, or null when the
+    // key was already recorded.
+    async function record(type, key, data, tx = null) {
+        const append = t => storage.audit.append(key, (head) => {
+            const entry = {
+                seq: head ? head.seq + 1 : 1,
+                type,
+                key,
+                at: clock.now(),
+                data,
+                prevHash: head ? head.hash : GENESIS_HASH
+            };
+            return { ...entry, hash: hashEntry(entry) };
+        }, t);
+        return tx ? append(tx) : storage.transaction(append);
+    }
+
+    // Walks the whole chain, oldest first. Returns { ok: true, checked, head }
+    // or { ok: false, checked, brokenAt, problem } for the first bad entry.
+    async function verify() {
+        let previous = null;
+        let checked = 0;
+        for (;;) {
+            const page = await storage.audit.list({ afterSeq: previous ? previous.seq : 0, limit: VERIFY_PAGE_SIZE });
+            for (const entry of page) {
+                const seq = previous ? previous.seq + 1 : 1;
+                if (entry.seq !== seq) return { ok: false, checked, brokenAt: seq, problem: 'Entry is missing' };
+                if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+                    return { ok: false, checked, brokenAt: seq, problem: 'Previous hash does not match' };
+                }
+                if (entry.hash !== hashEntry(entry)) {
+                    return { ok: false, checked, brokenAt: seq, problem: 'Hash does not match contents' };
+                }
+                previous = entry;
+                checked += 1;
+            }
+            if (page.length < VERIFY_PAGE_SIZE) break;
+        }
+        return { ok: true, checked, head: previous && { seq: previous.seq, hash: previous.hash } };
+    }
+
+    return { record, verify };
+}
+
+module.exports = { GENESIS_HASH, canonicalJson, hashEntry, createAuditLog };
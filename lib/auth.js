@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { systemClock } = require('./clock');
+
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_HOURS || '168', 10) * 60 * 60 * 1000;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [salt, hash] = String(stored).split(':');
+    if (!salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function readBearerToken(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+([a-f0-9]{64})$/i);
+    return match ? match[1] : null;
+}
+
+// Sessions and the auth middleware, reading through `storage`
+function createAuth({ storage, clock = systemClock }) {
+    // Only the token's hash is stored, so a leaked sessions collection
+    // can't be replayed against the API.
+    async function createSession(userId) {
+        const token = crypto.randomBytes(32).toString('hex');
+        await storage.sessions.create({
+            userId,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(clock.now().getTime() + SESSION_TTL_MS)
+        });
+        return token;
+    }
+
+    async function requireAuth(req, res, next) {
+        try {
+            const token = readBearerToken(req);
+            if (!token) return res.status(401).json({ error: 'Authentication required' });
+
+            const session = await storage.sessions.findActive(hashToken(token), clock.now());
+            if (!session) return res.status(401).json({ error: 'Session expired' });
+
+            const user = await storage.users.findById(session.userId);
+            if (!user) return res.status(401).json({ error: 'Authentication required' });
+
+            req.user = { _id: user._id, username: user.username, role: user.role };
+            req.log = req.log.child({ userId: user._id });
+            req.sessionTokenHash = session.tokenHash;
+            next();
+        } catch (err) {
+            req.log.error('Error in requireAuth', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    }
+
+    return { createSession, requireAuth, requireAdmin };
+}
+
+// Use after requireAuth
+function requireAdmin(req, res, next) {
+    if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin access required' });
+    next();
+}
+
+module.exports = {
+    SESSION_TTL_MS,
+    hashPassword,
+    verifyPassword,
+    requireAdmin,
+    createAuth
+};
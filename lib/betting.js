@@ -0,0 +1,138 @@
+const { Types } = require('mongoose');
+const engine = require('../public/engine');
+const { gameConfig, lockWindowMs } = require('./config');
+const { systemClock } = require('./clock');
+const { BetRejectedError, IdempotencyKeyReusedError } = require('./errors');
+const { createPlayLimits } = require('./limits');
+
+// How long a bet's Idempotency-Key is remembered
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10) * 60 * 60 * 1000;
+
+// Whether bets can still be placed on (or taken off) `round` at `now`
+function takesBets(round, now) {
+    return round.status === 'open' && round.endTime > new Date(now.getTime() + lockWindowMs());
+}
+
+// Placing and cancelling bets. Both run inside storage transactions; with
+// Mongo storage that needs a replica set. Bets go on the audit trail when
+// their round locks, see recordBets in roundEngine.js.
+function createBetting({ storage, clock = systemClock }) {
+    const { checkPlayLimits } = createPlayLimits({ storage, clock });
+
+    // Checks the open round, debits every stake and records the bets in a
+    // single transaction, so a slip is accepted or rejected as a whole. The
+    // round is only read, never written, so bets on a mode don't all conflict
+    // on it; those from one player all write the player's wallet, so they run
+    // one after another and the conditional debits never take it below zero.
+    // Bets close a lock window before the round ends, and settlement starts
+    // at the end, as does the last refund sweep of a voided round (see
+    // refundRound). A bet can only be missed by either if its transaction
+    // takes longer than the whole lock window. `period`, when given, must be
+    // the round that is currently open.
+    //
+    // With `idempotency` ({ key, requestHash }), the result is stored under
+    // the key in the same transaction, and a request repeating the key gets
+    // that result back, marked `replayed`, without betting again. A repeat
+    // racing the original conflicts on the player's wallet and, retried, finds
+    // the key. Rejected bets store nothing, so their retries are judged afresh.
+    async function placeBets({ userId, mode, period, selections, slipId, idempotency = null }) {
+        const totalStaked = selections.reduce((sum, s) => sum + s.amount * s.multiplier, 0);
+        return storage.transaction(async (tx) => {
+            const now = clock.now();
+            if (idempotency) {
+                const previous = await storage.idempotencyKeys.find(userId, idempotency.key, now, tx);
+                if (previous) {
+                    if (previous.requestHash !== idempotency.requestHash) throw new IdempotencyKeyReusedError();
+                    return { ...previous.response, replayed: true };
+                }
+            }
+
+            const round = await storage.rounds.latest(mode, tx);
+            if (!round) throw new BetRejectedError('Round is not open for betting', 'closed');
+            if (period && round.period !== period) throw new BetRejectedError(`Betting is closed for period ${period}`, 'closed');
+            if (!takesBets(round, now)) throw new BetRejectedError('Betting is closed for this round', 'closed');
+
+            await checkPlayLimits(userId, totalStaked, tx, now);
+
+            const bets = [];
+            let balance;
+            for (const { betType, betValue, amount, multiplier } of selections) {
+                const betId = new Types.ObjectId();
+                const totalAmount = amount * multiplier;
+                const debit = await storage.ledger.post({
+                    userId,
+                    type: 'stake',
+                    amount: -totalAmount,
+                    key: `stake:${betId}`,
+                    betId,
+                    note: `${mode} ${round.period}`
+                }, tx);
+                if (!debit) throw new BetRejectedError('Insufficient balance', 'insufficient_balance');
+                balance = debit.balanceAfter;
+
+                bets.push({
+                    _id: betId,
+                    userId,
+                    roundId: round._id,
+                    period: round.period,
+                    mode,
+                    betType,
+                    betValue,
+                    amount,
+                    multiplier,
+                    totalAmount,
+                    winMultiplier: engine.winMultiplier(betType, betValue, gameConfig.payouts),
+                    slipId
+                });
+            }
+            const result = { bets: await storage.bets.create(bets, tx), balance };
+            if (idempotency) {
+                await storage.idempotencyKeys.create({
+                    userId,
+                    key: idempotency.key,
+                    requestHash: idempotency.requestHash,
+                    response: result,
+                    expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_MS)
+                }, now, tx);
+            }
+            return result;
+        });
+    }
+
+    async function placeBet({ userId, mode, betType, betValue, amount, multiplier, idempotency }) {
+        const { bets, balance, replayed } = await placeBets({
+            userId,
+            mode,
+            selections: [{ betType, betValue, amount, multiplier }],
+            idempotency
+        });
+        return { bet: bets[0], balance, replayed };
+    }
+
+    // Withdraws a pending bet and refunds its stake in one transaction, as
+    // long as its round is still open and outside the lock window
+    async function cancelBet({ userId, betId }) {
+        return storage.transaction(async (tx) => {
+            const now = clock.now();
+            const bet = await storage.bets.cancel(betId, userId, now, tx);
+            if (!bet) throw new BetRejectedError('Bet can no longer be cancelled', 'not_cancellable');
+
+            const round = await storage.rounds.findByPeriod(bet.mode, bet.period, tx);
+            if (!takesBets(round, now)) throw new BetRejectedError('Betting is closed for this round', 'closed');
+
+            const refund = await storage.ledger.post({
+                userId,
+                type: 'refund',
+                amount: bet.totalAmount,
+                key: `cancel:${bet._id}`,
+                betId: bet._id,
+                note: `${bet.mode} ${bet.period} cancelled`
+            }, tx);
+            return { bet, balance: refund.balanceAfter };
+        });
+    }
+
+    return { placeBets, placeBet, cancelBet };
+}
+
+module.exports = { IDEMPOTENCY_TTL_MS, createBetting };
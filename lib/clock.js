@@ -0,0 +1,7 @@
+// Everything that asks "what time is it?" for the game goes through a clock,
+// so tests can move time by hand instead of waiting for it.
+const systemClock = {
+    now: () => new Date()
+};
+
+module.exports = { systemClock };
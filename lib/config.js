@@ -0,0 +1,97 @@
+const engine = require('../public/engine');
+
+// Seeds the persisted config the first time the app starts. After that the
+// stored config is the source of truth, edited via the admin API.
+const DEFAULT_CONFIG = {
+    modes: [
+        { key: '30s', seconds: 30 },
+        { key: '1min', seconds: 60 },
+        { key: '3min', seconds: 180 },
+        { key: '5min', seconds: 300 }
+    ],
+    lockWindowSeconds: 5,
+    minStake: 10,
+    maxStake: 100000,
+    multipliers: [1, 5, 10, 20, 50, 100],
+    payouts: { ...engine.DEFAULT_PAYOUTS }
+};
+const CONFIG_REFRESH_MS = 30000;
+
+// Live view of the active config. Both objects are updated in place, so they
+// are always safe to hold on to. MODES maps each mode to its round length in
+// seconds.
+const MODES = {};
+const gameConfig = {};
+
+function applyConfig(config) {
+    Object.keys(gameConfig).forEach(key => delete gameConfig[key]);
+    Object.assign(gameConfig, {
+        modes: config.modes.map(({ key, seconds }) => ({ key, seconds })),
+        lockWindowSeconds: config.lockWindowSeconds,
+        minStake: config.minStake,
+        maxStake: config.maxStake,
+        multipliers: [...config.multipliers],
+        payouts: { ...config.payouts }
+    });
+    Object.keys(MODES).forEach(key => delete MODES[key]);
+    gameConfig.modes.forEach(({ key, seconds }) => { MODES[key] = seconds; });
+}
+applyConfig(DEFAULT_CONFIG);
+
+function lockWindowMs() {
+    return gameConfig.lockWindowSeconds * 1000;
+}
+
+async function loadConfig(storage) {
+    applyConfig(await storage.config.load(DEFAULT_CONFIG));
+}
+
+// Checks a proposed config, returning an error message or null. Modes can be
+// added but not removed or re-timed: periods encode the round length, and a
+// mode that vanished would leave its open round stranded.
+function validateConfig(config) {
+    const { modes, lockWindowSeconds, minStake, maxStake, multipliers, payouts } = config;
+    if (!Array.isArray(modes) || modes.length === 0) return 'modes must be a non-empty array';
+    const keys = new Set();
+    for (const mode of modes) {
+        if (!mode || typeof mode.key !== 'string' || !/^[a-z0-9]{1,10}$/.test(mode.key)) {
+            return 'Mode keys must be 1-10 lowercase letters or digits';
+        }
+        if (keys.has(mode.key)) return `Duplicate mode ${mode.key}`;
+        keys.add(mode.key);
+        // Rounds are aligned to a grid that has to restart cleanly each day
+        if (!Number.isInteger(mode.seconds) || mode.seconds < 10 || 86400 % mode.seconds !== 0) {
+            return `Mode ${mode.key} needs a duration in seconds that divides a day evenly`;
+        }
+        if (MODES[mode.key] && MODES[mode.key] !== mode.seconds) {
+            return `The duration of mode ${mode.key} can't change; add a new mode instead`;
+        }
+    }
+    const removed = Object.keys(MODES).filter(key => !keys.has(key));
+    if (removed.length > 0) return `Modes can't be removed: ${removed.join(', ')}`;
+
+    if (!Number.isInteger(lockWindowSeconds) || lockWindowSeconds < 1) return 'lockWindowSeconds must be a positive integer';
+    if (modes.some(mode => mode.seconds <= lockWindowSeconds * 2)) return 'Every mode must be more than twice the lock window';
+    if (!Number.isInteger(minStake) || minStake < 1) return 'minStake must be a positive integer';
+    if (!Number.isInteger(maxStake) || maxStake < minStake) return 'maxStake must be an integer of at least minStake';
+    if (!Array.isArray(multipliers) || multipliers.length === 0 ||
+        multipliers.some(m => !Number.isInteger(m) || m < 1)) {
+        return 'multipliers must be a non-empty array of positive integers';
+    }
+    if (!payouts || ['color', 'violet', 'number', 'violetNumber', 'size'].some(type =>
+        typeof payouts[type] !== 'number' || !(payouts[type] > 0))) {
+        return 'payouts needs a positive multiplier for color, violet, number, violetNumber and size';
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    CONFIG_REFRESH_MS,
+    MODES,
+    gameConfig,
+    applyConfig,
+    lockWindowMs,
+    loadConfig,
+    validateConfig
+};
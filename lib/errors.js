@@ -0,0 +1,19 @@
+// Thrown when a bet or cancellation is refused for a reason the player can
+// act on. Routes answer these with a 400 and the message; `reason` is a
+// stable code for metrics.
+class BetRejectedError extends Error {
+    constructor(message, reason) {
+        super(message);
+        this.reason = reason;
+    }
+}
+
+// Thrown when an Idempotency-Key comes back with a different request than
+// the one it was first used for. Routes answer these with a 422.
+class IdempotencyKeyReusedError extends Error {
+    constructor() {
+        super('Idempotency-Key was already used for a different request');
+    }
+}
+
+module.exports = { BetRejectedError, IdempotencyKeyReusedError };
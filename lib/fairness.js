@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const engine = require('../public/engine');
+const { MODES } = require('./config');
+
+// 'random' draws an independent seed per round. 'chain' takes seeds from a
+// daily reverse hash chain, fixing the whole day's sequence in advance.
+const FAIRNESS_SCHEME = process.env.FAIRNESS_SCHEME === 'chain' ? 'chain' : 'random';
+
+function sha256Hex(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Applies sha256 `steps` times, hashing the hex string each time
+function hashForward(value, steps) {
+    let hash = value;
+    for (let i = 0; i < steps; i++) hash = sha256Hex(hash);
+    return hash;
+}
+
+// Rounds in a day for this mode, with room for a 25-hour DST day
+function chainLength(mode) {
+    return Math.ceil((25 * 60 * 60) / MODES[mode]);
+}
+
+// Result derivation lives in the shared engine. Anyone holding the revealed
+// seed can repeat it; /api/game/verify walks through it one step at a time.
+function deriveResult(seed, period) {
+    return engine.deriveResult(seed, period, sha256Hex);
+}
+
+module.exports = {
+    FAIRNESS_SCHEME,
+    sha256Hex,
+    hashForward,
+    chainLength,
+    deriveResult
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const os = require('os');
+const { systemClock } = require('./clock');
+const { createMetrics } = require('./metrics');
+const { logger: rootLogger } = require('./logger');
+
+// Every instance serves the API, but only the holder of the game-loop lease
+// creates, locks and settles rounds. A leader that stops renewing (crash,
+// partition) loses the lease after LEASE_TTL_MS and another instance takes
+// over. Storage judges expiry by its own clock, never an instance's, and
+// leadership is given up locally a renewal interval before the lease can
+// expire there, counted from before the request was sent. That holds whatever
+// the skew between clocks, as long as they tick at about the same rate: an
+// instance whose clock loses more than LEASE_RENEW_MS over one lease term
+// could still act after losing it.
+const LEASE_NAME = 'game-loop';
+const LEASE_TTL_MS = parseInt(process.env.LEASE_TTL_MS || '15000', 10);
+const LEASE_RENEW_MS = Math.floor(LEASE_TTL_MS / 3);
+const TICK_MS = 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Drives `rounds` (a round engine) once a second while this instance holds
+// the lease, reconciling first whenever it takes over
+function createGameLoop({ storage, rounds, clock = systemClock, metrics = createMetrics(), logger = rootLogger }) {
+    let leaderUntil = 0;
+    let needsReconcile = false;
+    let ticking = false;
+    let lastTickAt = 0;
+
+    function isLeader() {
+        return clock.now().getTime() < leaderUntil;
+    }
+
+    async function renewLease() {
+        const requestedAt = clock.now().getTime();
+        const wasLeader = isLeader();
+        let acquired = false;
+        try {
+            acquired = await storage.leases.acquire(LEASE_NAME, INSTANCE_ID, LEASE_TTL_MS);
+        } catch (err) {
+            logger.error('Error renewing game loop lease', { err });
+        }
+
+        if (acquired) {
+            // Count from before the request, so the local view always ends first
+            leaderUntil = requestedAt + LEASE_TTL_MS - LEASE_RENEW_MS;
+            if (!wasLeader) {
+                needsReconcile = true;
+                logger.info('Now driving the game loop', { instance: INSTANCE_ID });
+            }
+        } else {
+            leaderUntil = 0;
+            if (wasLeader) logger.warn('Lost the game loop lease', { instance: INSTANCE_ID });
+        }
+        metrics.loopLeader.set({}, acquired ? 1 : 0);
+    }
+
+    async function step() {
+        if (!isLeader()) {
+            lastTickAt = 0;
+            return;
+        }
+        // Skip rather than overlap when a tick runs long; the skip shows up
+        // as lag on the next one
+        if (ticking) return;
+        const startedAt = clock.now().getTime();
+        if (lastTickAt) metrics.loopTickLag.observe({}, Math.max(0, startedAt - lastTickAt - TICK_MS) / 1000);
+        lastTickAt = startedAt;
+        ticking = true;
+        try {
+            if (needsReconcile) {
+                try {
+                    await rounds.reconcileRounds();
+                    needsReconcile = false;
+                } catch (err) {
+                    logger.error('Error reconciling rounds', { err });
+                }
+                return;
+            }
+            await rounds.tick();
+        } finally {
+            ticking = false;
+        }
+    }
+
+    function start() {
+        renewLease();
+        setInterval(renewLease, LEASE_RENEW_MS);
+        setInterval(step, TICK_MS);
+    }
+
+    return { isLeader, renewLease, step, start };
+}
+
+module.exports = {
+    LEASE_NAME,
+    LEASE_TTL_MS,
+    LEASE_RENEW_MS,
+    INSTANCE_ID,
+    createGameLoop
+};
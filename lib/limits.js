@@ -0,0 +1,110 @@
+const engine = require('../public/engine');
+const { LIMIT_KINDS, LIMIT_PERIODS } = require('./models');
+const { systemClock } = require('./clock');
+const { BetRejectedError } = require('./errors');
+
+const { roundCredit } = engine;
+
+// Limits are measured over rolling windows ending now
+const LIMIT_WINDOW_MS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+    monthly: 30 * 24 * 60 * 60 * 1000
+};
+const LIMIT_INCREASE_DELAY_MS = parseInt(process.env.LIMIT_INCREASE_HOURS || '24', 10) * 60 * 60 * 1000;
+const MAX_EXCLUSION_DAYS = 5 * 365;
+
+// The limits in force at `now`: stored values with matured increases applied
+function effectiveLimits(doc, now = new Date()) {
+    const limits = {};
+    LIMIT_KINDS.forEach(kind => {
+        limits[kind] = {};
+        LIMIT_PERIODS.forEach(period => { limits[kind][period] = doc?.[kind]?.[period] ?? null; });
+    });
+    (doc?.pending || []).forEach(change => {
+        if (change.effectiveAt <= now) limits[change.kind][change.period] = change.value;
+    });
+    return limits;
+}
+
+// Usage checks and the player-facing view of limits, reading through `storage`
+function createPlayLimits({ storage, clock = systemClock }) {
+    // Stake and net loss per window. Cancelled and refunded bets don't count;
+    // a pending bet counts as lost until it settles.
+    async function playUsage(userId, tx = null, now = clock.now()) {
+        const starts = {};
+        LIMIT_PERIODS.forEach(period => { starts[period] = new Date(now.getTime() - LIMIT_WINDOW_MS[period]); });
+        const totals = await storage.bets.playTotals(userId, starts, tx);
+
+        const usage = { stake: {}, loss: {} };
+        LIMIT_PERIODS.forEach(period => {
+            const { staked, paid } = totals[period];
+            usage.stake[period] = roundCredit(staked);
+            usage.loss[period] = roundCredit(Math.max(0, staked - paid));
+        });
+        return usage;
+    }
+
+    // Throws BetRejectedError when the player is excluded or `stake` more
+    // would break a limit. Runs inside the bet transaction; concurrent bets
+    // from one player conflict on the wallet debit, so each one sees the
+    // others' stakes.
+    async function checkPlayLimits(userId, stake, tx = null, now = clock.now()) {
+        const doc = await storage.playLimits.find(userId, tx);
+        if (!doc) return;
+        if (doc.excludedUntil && doc.excludedUntil > now) {
+            throw new BetRejectedError(`Betting is paused until ${doc.excludedUntil.toISOString()}`, 'excluded');
+        }
+
+        const limits = effectiveLimits(doc, now);
+        const hasLimit = LIMIT_KINDS.some(kind => LIMIT_PERIODS.some(period => limits[kind][period] !== null));
+        if (!hasLimit) return;
+
+        const usage = await playUsage(userId, tx, now);
+        for (const kind of LIMIT_KINDS) {
+            for (const period of LIMIT_PERIODS) {
+                const limit = limits[kind][period];
+                if (limit !== null && usage[kind][period] + stake > limit) {
+                    throw new BetRejectedError(`This bet would exceed your ${period} ${kind} limit`, 'play_limit');
+                }
+            }
+        }
+    }
+
+    // Limits in force, changes still waiting, and what is left of each limit
+    async function playLimitsView(userId) {
+        const now = clock.now();
+        const doc = await storage.playLimits.find(userId);
+        const limits = effectiveLimits(doc, now);
+        const usage = await playUsage(userId, null, now);
+
+        const remaining = {};
+        LIMIT_KINDS.forEach(kind => {
+            remaining[kind] = {};
+            LIMIT_PERIODS.forEach(period => {
+                const limit = limits[kind][period];
+                remaining[kind][period] = limit === null ? null : roundCredit(Math.max(0, limit - usage[kind][period]));
+            });
+        });
+        const excluded = doc?.excludedUntil > now;
+        return {
+            limits,
+            pending: (doc?.pending || []).filter(change => change.effectiveAt > now),
+            usage,
+            remaining,
+            sessionReminderMinutes: doc?.sessionReminderMinutes ?? null,
+            excludedUntil: excluded ? doc.excludedUntil : null,
+            exclusionType: excluded ? doc.exclusionType : null
+        };
+    }
+
+    return { playUsage, checkPlayLimits, playLimitsView };
+}
+
+module.exports = {
+    LIMIT_WINDOW_MS,
+    LIMIT_INCREASE_DELAY_MS,
+    MAX_EXCLUSION_DAYS,
+    effectiveLimits,
+    createPlayLimits
+};
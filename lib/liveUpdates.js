@@ -0,0 +1,88 @@
+const { MODES } = require('./config');
+const { systemClock } = require('./clock');
+const { logger: rootLogger } = require('./logger');
+
+// The round engine pushes a fresh snapshot of a mode whenever one of its
+// rounds opens, locks or settles, so the cost of an update is the same
+// however many tabs are listening.
+const STREAM_HEARTBEAT_MS = 25000;
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Server-Sent Events for /api/game/stream, plus the status snapshot that
+// /api/game/status serves
+function createLiveUpdates({ storage, clock = systemClock, logger = rootLogger }) {
+    const streamClients = new Set();
+
+    async function buildModeStatus(mode) {
+        const [currentRound, last5] = await Promise.all([
+            storage.rounds.latest(mode),
+            storage.rounds.recentSettled(mode, 5)
+        ]);
+        if (!currentRound) return null;
+
+        const now = clock.now();
+        return {
+            period: currentRound.period,
+            status: currentRound.status,
+            timeLeft: Math.max(0, Math.ceil((currentRound.endTime - now) / 1000)),
+            endTime: currentRound.endTime,
+            serverTime: now,
+            roundId: currentRound._id,
+            commitHash: currentRound.commitHash,
+            results: last5
+        };
+    }
+
+    async function buildStatus() {
+        const statusData = {};
+        await Promise.all(Object.keys(MODES).map(async (mode) => {
+            const modeStatus = await buildModeStatus(mode);
+            if (modeStatus) statusData[mode] = modeStatus;
+        }));
+        return statusData;
+    }
+
+    async function publishRoundEvent(type, mode) {
+        if (streamClients.size === 0) return;
+        try {
+            const modeStatus = await buildModeStatus(mode);
+            if (!modeStatus) return;
+            for (const res of streamClients) sendEvent(res, 'round', { type, mode, ...modeStatus });
+        } catch (err) {
+            logger.error('Error publishing round event', { mode, type, err });
+        }
+    }
+
+    // Sends a `snapshot` of every mode, then a `round` event per lifecycle
+    // change until the client goes away
+    async function addClient(req, res) {
+        streamClients.add(res);
+        req.on('close', () => streamClients.delete(res));
+
+        try {
+            sendEvent(res, 'snapshot', await buildStatus());
+        } catch (err) {
+            req.log.error('Error in /api/game/stream', { err });
+            streamClients.delete(res);
+            res.end();
+        }
+    }
+
+    // Only the leader writes rounds, so every instance follows storage to
+    // hear about them
+    function start() {
+        storage.rounds.watch((type, round) => publishRoundEvent(type, round.mode));
+
+        // Comment frames keep idle connections alive through proxies
+        setInterval(() => {
+            for (const res of streamClients) res.write(': ping\n\n');
+        }, STREAM_HEARTBEAT_MS);
+    }
+
+    return { buildModeStatus, buildStatus, addClient, start };
+}
+
+module.exports = { createLiveUpdates };
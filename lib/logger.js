@@ -0,0 +1,35 @@
+// JSON lines on stdout: { time, level, msg, ...fields }. LOG_LEVEL is one of
+// debug, info, warn, error or silent; it defaults to info in production and
+// debug elsewhere.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVEL = process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug');
+
+function serializeError(err) {
+    return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+// `fields` go on every line; child() adds more, e.g. a request id
+function createLogger({ level = LOG_LEVEL, fields = {}, write = line => process.stdout.write(`${line}\n`) } = {}) {
+    const threshold = LEVELS[level] || LEVELS.info;
+
+    function emit(entryLevel, msg, extra = {}) {
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields };
+        Object.entries(extra).forEach(([key, value]) => {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        });
+        write(JSON.stringify(entry));
+    }
+
+    return {
+        debug: (msg, extra) => emit('debug', msg, extra),
+        info: (msg, extra) => emit('info', msg, extra),
+        warn: (msg, extra) => emit('warn', msg, extra),
+        error: (msg, extra) => emit('error', msg, extra),
+        child: extra => createLogger({ level, fields: { ...fields, ...extra }, write })
+    };
+}
+
+const logger = createLogger();
+
+module.exports = { LOG_LEVEL, createLogger, logger };
@@ -0,0 +1,117 @@
+// Counters, gauges and histograms exposed at /metrics in the Prometheus text
+// format (version 0.0.4). Kept in-process: each instance reports its own and
+// Prometheus sums them.
+
+const SECONDS_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values) {
+    if (names.length === 0) return '';
+    return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values, in the order of `labelNames`
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    function register(name, help, type, labelNames, renderSeries) {
+        const series = new Map();
+        metrics.push(() => {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+            series.forEach((value, key) => lines.push(...renderSeries(value, JSON.parse(key))));
+            return lines.join('\n');
+        });
+        return series;
+    }
+
+    function counter(name, help, labelNames = []) {
+        const series = register(name, help, 'counter', labelNames,
+            (value, values) => [`${name}${formatLabels(labelNames, values)} ${value}`]);
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = seriesKey(labelNames, labels);
+                series.set(key, (series.get(key) || 0) + amount);
+            }
+        };
+    }
+
+    function gauge(name, help, labelNames = []) {
+        const series = register(name, help, 'gauge', labelNames,
+            (value, values) => [`${name}${formatLabels(labelNames, values)} ${value}`]);
+        return {
+            set(labels, value) {
+                series.set(seriesKey(labelNames, labels), value);
+            }
+        };
+    }
+
+    function histogram(name, help, labelNames = [], buckets = SECONDS_BUCKETS) {
+        const bucketNames = [...labelNames, 'le'];
+        const series = register(name, help, 'histogram', labelNames, (value, values) => [
+            ...buckets.map((le, i) => `${name}_bucket${formatLabels(bucketNames, [...values, le])} ${value.counts[i]}`),
+            `${name}_bucket${formatLabels(bucketNames, [...values, '+Inf'])} ${value.count}`,
+            `${name}_sum${formatLabels(labelNames, values)} ${value.sum}`,
+            `${name}_count${formatLabels(labelNames, values)} ${value.count}`
+        ]);
+        return {
+            observe(labels, observed) {
+                const key = seriesKey(labelNames, labels);
+                let value = series.get(key);
+                if (!value) {
+                    value = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                    series.set(key, value);
+                }
+                buckets.forEach((le, i) => { if (observed <= le) value.counts[i] += 1; });
+                value.sum += observed;
+                value.count += 1;
+            }
+        };
+    }
+
+    function render() {
+        return `${metrics.map(renderMetric => renderMetric()).join('\n')}\n`;
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+// The game's metrics. Services take this as `metrics`; without one they get
+// a registry of their own that nothing reads.
+function createMetrics() {
+    const registry = createRegistry();
+    return {
+        loopTickLag: registry.histogram(
+            'chromex_game_loop_tick_lag_seconds',
+            'How much later than scheduled each game loop tick started',
+            [],
+            [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+        ),
+        loopLeader: registry.gauge('chromex_game_loop_leader', '1 while this instance drives the game loop'),
+        settlementLatency: registry.histogram(
+            'chromex_round_settlement_latency_seconds',
+            'Time from the end of a round until it was settled',
+            ['mode'],
+            [0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60]
+        ),
+        roundsCreated: registry.counter('chromex_rounds_created_total', 'Rounds opened', ['mode']),
+        roundsSettled: registry.counter('chromex_rounds_settled_total', 'Rounds settled', ['mode']),
+        betsAccepted: registry.counter('chromex_bets_accepted_total', 'Bets placed', ['mode']),
+        betsRejected: registry.counter('chromex_bets_rejected_total', 'Bet requests refused', ['reason']),
+        stakeVolume: registry.counter('chromex_stake_volume_total', 'Total staked on placed bets', ['mode']),
+        httpDuration: registry.histogram(
+            'chromex_http_request_duration_seconds',
+            'HTTP request latency',
+            ['method', 'route', 'status']
+        ),
+        render: registry.render
+    };
+}
+
+module.exports = { SECONDS_BUCKETS, createRegistry, createMetrics };
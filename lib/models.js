@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+const RoundSchema = new mongoose.Schema({
+    mode: { type: String, required: true },
+    period: { type: String, required: true },
+    startTime: { type: Date, required: true },
+    endTime: { type: Date, required: true },
+    status: { type: String, enum: ['open', 'locked', 'settled', 'void'], default: 'open' },
+    commitHash: { type: String, required: true },
+    seed: { type: String, required: true },
+    // Position in the day's seed chain when FAIRNESS_SCHEME=chain
+    chainIndex: Number,
+    result: {
+        number: Number,
+        color: String,
+        size: String
+    },
+    voidReason: String,
+    voidedAt: Date,
+    // Admin who voided the round; unset when recovery voided it
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Set once a void round has ended and every stake on it has been returned
+    refundedAt: Date
+});
+RoundSchema.index({ mode: 1, startTime: -1 });
+RoundSchema.index({ mode: 1, period: 1 }, { unique: true });
+
+const UserSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: ['player', 'admin'], default: 'player' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const SessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true }
+});
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// The response to a bet request made with an Idempotency-Key, written in the
+// same transaction as the bets so a retry gets that response back instead of
+// betting again. Expired keys are removed by the TTL index.
+const IdempotencyKeySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    key: { type: String, required: true },
+    requestHash: { type: String, required: true },
+    response: { type: mongoose.Schema.Types.Mixed, required: true },
+    expiresAt: { type: Date, required: true }
+});
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const BetSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    roundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Round', required: true },
+    period: { type: String, required: true },
+    mode: { type: String, required: true },
+    betType: { type: String, required: true, enum: ['color', 'number', 'size'] },
+    betValue: { type: String, required: true },
+    // Stake limits live in the game config (minStake, maxStake), checked on placement
+    amount: { type: Number, required: true },
+    multiplier: { type: Number, default: 1 },
+    totalAmount: { type: Number, required: true },
+    // What a win pays per unit staked, from the payout table in force when
+    // the bet was placed, so a later config change doesn't re-price it.
+    // Bets placed before this was recorded settle at the current table.
+    winMultiplier: Number,
+    result: { type: String, enum: ['pending', 'win', 'lose', 'refunded', 'cancelled'], default: 'pending' },
+    payout: { type: Number, default: 0 },
+    settledAt: Date,
+    // Cancelled bets are kept, with their refund in the ledger, for auditing
+    cancelledAt: Date,
+    // Groups the bets placed together from one bet slip
+    slipId: mongoose.Schema.Types.ObjectId,
+    createdAt: { type: Date, default: Date.now }
+});
+BetSchema.index({ roundId: 1, result: 1 });
+BetSchema.index({ userId: 1, createdAt: -1 });
+BetSchema.index({ slipId: 1 }, { sparse: true });
+
+// One reverse hash chain per mode and day: root -> sha256 -> ... -> anchor.
+// The anchor is public from the moment the chain exists; the root stays
+// secret until the day is over.
+const SeedChainSchema = new mongoose.Schema({
+    mode: { type: String, required: true },
+    day: { type: String, required: true },
+    length: { type: Number, required: true },
+    root: { type: String, required: true },
+    anchor: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+SeedChainSchema.index({ mode: 1, day: 1 }, { unique: true });
+
+// Periods the game loop skipped while no instance was running it
+const RoundGapSchema = new mongoose.Schema({
+    mode: { type: String, required: true },
+    lastPeriod: String,
+    resumePeriod: { type: String, required: true },
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    missedPeriods: { type: Number, required: true },
+    // Rounds found open or locked past their end time
+    staleRounds: [{ period: String, action: { type: String, enum: ['settled', 'void'] } }],
+    policy: { type: String, required: true },
+    detectedAt: { type: Date, default: Date.now }
+});
+RoundGapSchema.index({ mode: 1, detectedAt: -1 });
+
+const GameConfigSchema = new mongoose.Schema({
+    _id: { type: String },
+    modes: [{ _id: false, key: String, seconds: Number }],
+    lockWindowSeconds: Number,
+    minStake: Number,
+    maxStake: Number,
+    multipliers: [Number],
+    payouts: {
+        color: Number,
+        violet: Number,
+        number: Number,
+        violetNumber: Number,
+        size: Number
+    },
+    updatedAt: Date,
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+});
+
+// Named leases; the holder of 'game-loop' drives the round lifecycle
+const LeaseSchema = new mongoose.Schema({
+    _id: { type: String },
+    holder: { type: String, required: true },
+    expiresAt: { type: Date, required: true }
+});
+
+// Hash-linked audit trail; see lib/audit.js. Entries are only ever inserted,
+// and the model refuses updates and deletes. That doesn't stop writes made
+// around the model; verify() is what catches those. The head document holds
+// the latest seq and hash; every append writes it, which is what makes
+// concurrent appends take turns.
+const AuditEntrySchema = new mongoose.Schema({
+    seq: { type: Number, required: true, unique: true },
+    type: { type: String, required: true },
+    key: { type: String, required: true, unique: true },
+    at: { type: Date, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+    prevHash: { type: String, required: true },
+    hash: { type: String, required: true }
+}, { minimize: false });
+const AUDIT_WRITES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'];
+AuditEntrySchema.pre(AUDIT_WRITES, function () {
+    throw new Error('Audit entries are append-only');
+});
+
+const AuditHeadSchema = new mongoose.Schema({
+    _id: { type: String },
+    seq: { type: Number, required: true },
+    hash: { type: String, required: true }
+});
+
+// Request counts for rate limiting, one document per key and window, shared
+// by every instance. Expired windows are removed by the TTL index.
+const RateLimitSchema = new mongoose.Schema({
+    _id: { type: String },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+});
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Round = mongoose.model('Round', RoundSchema);
+const SeedChain = mongoose.model('SeedChain', SeedChainSchema);
+const Lease = mongoose.model('Lease', LeaseSchema);
+const RateLimit = mongoose.model('RateLimit', RateLimitSchema);
+const AuditEntry = mongoose.model('AuditEntry', AuditEntrySchema);
+const AuditHead = mongoose.model('AuditHead', AuditHeadSchema);
+const RoundGap = mongoose.model('RoundGap', RoundGapSchema);
+const GameConfig = mongoose.model('GameConfig', GameConfigSchema);
+const Bet = mongoose.model('Bet', BetSchema);
+const User = mongoose.model('User', UserSchema);
+const Session = mongoose.model('Session', SessionSchema);
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+// Balance is a running total of the ledger; every change to it goes
+// through postLedgerEntry so the two stay in step.
+const WalletSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    balance: { type: Number, default: 0 }
+});
+
+const LEDGER_TYPES = ['stake', 'payout', 'refund', 'bonus', 'deposit', 'withdrawal', 'adjustment'];
+
+const LedgerEntrySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, required: true, enum: LEDGER_TYPES },
+    amount: { type: Number, required: true },
+    balanceAfter: { type: Number, required: true },
+    // Optional idempotency key, e.g. `payout:<betId>`
+    key: { type: String },
+    betId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bet' },
+    note: String,
+    // Admin behind a manual adjustment
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+LedgerEntrySchema.index({ userId: 1, createdAt: -1 });
+LedgerEntrySchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+
+// The ledger is append-only: corrections are new 'adjustment' entries.
+function rejectLedgerMutation() {
+    throw new Error('Ledger entries are append-only');
+}
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+    LedgerEntrySchema.pre(op, rejectLedgerMutation);
+});
+LedgerEntrySchema.pre('save', function () {
+    if (!this.isNew) rejectLedgerMutation();
+});
+
+// Responsible-play settings, one document per player. A null limit means
+// none is set. Raising or removing a limit waits in `pending` until
+// effectiveAt; lowering one applies at once.
+const LIMIT_KINDS = ['stake', 'loss'];
+const LIMIT_PERIODS = ['daily', 'weekly', 'monthly'];
+
+const limitPeriodFields = { daily: Number, weekly: Number, monthly: Number };
+
+const PlayLimitsSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    stake: limitPeriodFields,
+    loss: limitPeriodFields,
+    pending: [{
+        _id: false,
+        kind: { type: String, enum: LIMIT_KINDS },
+        period: { type: String, enum: LIMIT_PERIODS },
+        value: Number,
+        effectiveAt: Date
+    }],
+    sessionReminderMinutes: Number,
+    // Cooling-off or self-exclusion; can be extended but never shortened
+    excludedUntil: Date,
+    exclusionType: { type: String, enum: ['cooling-off', 'self-exclusion'] }
+});
+
+const Wallet = mongoose.model('Wallet', WalletSchema);
+const LedgerEntry = mongoose.model('LedgerEntry', LedgerEntrySchema);
+const PlayLimits = mongoose.model('PlayLimits', PlayLimitsSchema);
+
+// autoIndex is off in production, but the unique indexes are what stop
+// duplicate rounds, users and ledger entries, so build them explicitly.
+async function ensureIndexes() {
+    for (const model of Object.values(mongoose.models)) {
+        try {
+            await model.createIndexes();
+        } catch (err) {
+            logger.error('Error creating indexes', { model: model.modelName, err });
+        }
+    }
+}
+
+module.exports = {
+    Round,
+    User,
+    Session,
+    IdempotencyKey,
+    Bet,
+    SeedChain,
+    RoundGap,
+    GameConfig,
+    Lease,
+    RateLimit,
+    AuditEntry,
+    AuditHead,
+    Wallet,
+    LedgerEntry,
+    PlayLimits,
+    LEDGER_TYPES,
+    LIMIT_KINDS,
+    LIMIT_PERIODS,
+    ensureIndexes
+};
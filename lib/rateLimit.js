@@ -0,0 +1,75 @@
+const { systemClock } = require('./clock');
+
+// Requests allowed per window for each named limit. `api` covers every /api
+// request from a client address; the rest are added on individual routes and
+// count per signed-in player where the route has one. RATE_LIMITS overrides
+// them with JSON, e.g. {"bet":{"max":10},"auth":{"windowMs":600000}}.
+const DEFAULT_RATE_LIMITS = {
+    api: {
+        windowMs: parseInt(process.env.RATE_WINDOW_MS || '60000', 10),
+        max: parseInt(process.env.RATE_MAX || '120', 10)
+    },
+    auth: { windowMs: 15 * 60 * 1000, max: 20 },
+    bet: { windowMs: 60000, max: 30 },
+    wallet: { windowMs: 60000, max: 10 },
+    export: { windowMs: 60000, max: 5 }
+};
+
+function parseRateLimits(text) {
+    const limits = {};
+    Object.entries(DEFAULT_RATE_LIMITS).forEach(([name, limit]) => { limits[name] = { ...limit }; });
+    if (!text) return limits;
+
+    const overrides = JSON.parse(text);
+    Object.entries(overrides).forEach(([name, override]) => {
+        if (!limits[name]) throw new Error(`Unknown rate limit "${name}"`);
+        Object.assign(limits[name], override);
+        const { windowMs, max } = limits[name];
+        if (!Number.isInteger(windowMs) || windowMs < 1000 || !Number.isInteger(max) || max < 1) {
+            throw new Error(`Rate limit "${name}" needs a whole windowMs of at least 1000 and a max of at least 1`);
+        }
+    });
+    return limits;
+}
+
+const RATE_LIMITS = parseRateLimits(process.env.RATE_LIMITS);
+
+// Rate limiting middleware counting through `storage.rateLimits`, so with
+// Mongo storage the counts are shared by every instance.
+function createRateLimiter({ storage, clock = systemClock, limits = RATE_LIMITS }) {
+    // Put after requireAuth to count per player rather than per address.
+    // Headers follow the IETF RateLimit draft; when two limits apply to a
+    // request, the route's own (the later one) is the one reported.
+    function rateLimit(name) {
+        const { windowMs, max } = limits[name];
+        const policy = `${max};w=${Math.ceil(windowMs / 1000)}`;
+
+        return async (req, res, next) => {
+            const now = clock.now();
+            const identity = req.user ? `user:${req.user._id}` : `ip:${req.ip || 'unknown'}`;
+            let hit;
+            try {
+                hit = await storage.rateLimits.hit(`${name}:${identity}`, windowMs, now);
+            } catch (err) {
+                // Let the request through rather than fail it on the limiter
+                req.log.error('Error in rate limit', { limit: name, err });
+                return next();
+            }
+
+            const resetSeconds = Math.max(0, Math.ceil((hit.resetAt - now) / 1000));
+            res.set('RateLimit-Policy', policy);
+            res.set('RateLimit-Limit', String(max));
+            res.set('RateLimit-Remaining', String(Math.max(0, max - hit.count)));
+            res.set('RateLimit-Reset', String(resetSeconds));
+            if (hit.count > max) {
+                res.set('Retry-After', String(resetSeconds));
+                return res.status(429).json({ error: 'Too Many Requests' });
+            }
+            next();
+        };
+    }
+
+    return { rateLimit };
+}
+
+module.exports = { DEFAULT_RATE_LIMITS, RATE_LIMITS, parseRateLimits, createRateLimiter };
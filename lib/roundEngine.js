@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const engine = require('../public/engine');
+const { MODES, gameConfig } = require('./config');
+const { systemClock } = require('./clock');
+const { createMetrics } = require('./metrics');
+const { createAuditLog } = require('./audit');
+const { logger: rootLogger } = require('./logger');
+const { FAIRNESS_SCHEME, sha256Hex, hashForward, chainLength, deriveResult } = require('./fairness');
+
+const { periodDay, periodIndex } = engine;
+
+// What happens to rounds that ran past their end time while no instance
+// was driving the loop: 'settle' resolves them from their committed seed,
+// 'void' refunds every stake.
+const RECOVERY_POLICY = process.env.RECOVERY_POLICY === 'void' ? 'void' : 'settle';
+
+// Creates, locks, settles, voids and recovers rounds. Everything it reads or
+// writes goes through `storage` and every timestamp comes from `clock`, so
+// a test can drive hours of rounds against memory storage in milliseconds.
+function createRoundEngine({
+    storage,
+    clock = systemClock,
+    fairnessScheme = FAIRNESS_SCHEME,
+    recoveryPolicy = RECOVERY_POLICY,
+    logger = rootLogger,
+    metrics = createMetrics(),
+    audit = createAuditLog({ storage, clock })
+}) {
+    function generatePeriod(mode, time) {
+        return engine.formatPeriod(MODES[mode], time);
+    }
+
+    async function ensureChain(mode, day) {
+        const existing = await storage.seedChains.find(mode, day);
+        if (existing) return existing;
+
+        const length = chainLength(mode);
+        const root = crypto.randomBytes(32).toString('hex');
+        return storage.seedChains.create({ mode, day, length, root, anchor: hashForward(root, length) });
+    }
+
+    // Round k of the day gets the chain value k steps back from the anchor,
+    // so sha256(seed of round k) is the seed of round k - 1 (the anchor for k = 1).
+    async function drawSeed(mode, period) {
+        if (fairnessScheme !== 'chain') {
+            return { seed: crypto.randomBytes(32).toString('hex') };
+        }
+        const chain = await ensureChain(mode, periodDay(period));
+        const chainIndex = periodIndex(period);
+        if (chainIndex >= chain.length) throw new Error(`Period ${period} is past the end of its seed chain`);
+        return { seed: hashForward(chain.root, chain.length - chainIndex), chainIndex };
+    }
+
+    // Opens the round for the current slot of the mode's grid (10:00:00,
+    // 10:00:30, ...), so periods stay aligned however late the loop runs
+    async function createNewRound(mode) {
+        const modeMs = MODES[mode] * 1000;
+        const startTime = new Date(Math.floor(clock.now().getTime() / modeMs) * modeMs);
+        const endTime = new Date(startTime.getTime() + modeMs);
+        const period = generatePeriod(mode, startTime);
+
+        try {
+            // Already running, or settled early; the loop moves on once the slot ends
+            if (await storage.rounds.findByPeriod(mode, period)) return;
+
+            const { seed, chainIndex } = await drawSeed(mode, period);
+            const round = await storage.rounds.create({
+                mode,
+                period,
+                startTime,
+                endTime,
+                status: 'open',
+                commitHash: sha256Hex(seed + period),
+                seed,
+                chainIndex
+            });
+            // Another instance created this period first
+            if (!round) return;
+            await audit.record('round.opened', `round.opened:${round._id}`, {
+                roundId: round._id,
+                mode,
+                period,
+                startTime,
+                endTime,
+                commitHash: round.commitHash,
+                chainIndex
+            });
+            metrics.roundsCreated.inc({ mode });
+            logger.info('Round started', { mode, period, endTime });
+        } catch (err) {
+            logger.error('Error creating round', { mode, err });
+        }
+    }
+
+    // Puts the round's bets on the audit trail as they stand, cancelled ones
+    // with their cancellation. Recording each bet as it was placed would have
+    // every bet transaction write the audit head, so the lock records them
+    // once the round stops taking bets, and settlement and refunds catch any
+    // the lock didn't.
+    async function recordBets(round, tx) {
+        const bets = await storage.bets.forRound(round._id, tx);
+        for (const bet of bets) {
+            await audit.record('bet.placed', `bet.placed:${bet._id}`, {
+                betId: bet._id,
+                userId: bet.userId,
+                roundId: round._id,
+                mode: bet.mode,
+                period: bet.period,
+                betType: bet.betType,
+                betValue: bet.betValue,
+                amount: bet.amount,
+                multiplier: bet.multiplier,
+                totalAmount: bet.totalAmount,
+                winMultiplier: bet.winMultiplier,
+                slipId: bet.slipId,
+                // Recorded at lock, so keep when the bet was accepted
+                createdAt: bet.createdAt
+            }, tx);
+            if (bet.result === 'cancelled') {
+                await audit.record('bet.cancelled', `bet.cancelled:${bet._id}`, {
+                    betId: bet._id,
+                    userId: bet.userId,
+                    roundId: round._id,
+                    amount: bet.totalAmount,
+                    cancelledAt: bet.cancelledAt
+                }, tx);
+            }
+        }
+    }
+
+    // The status changes commit before their entries are appended, so an
+    // append that fails would leave them off the trail. Settlement records
+    // round.locked again and every refund pass round.voided; the keys make
+    // the repeats no-ops.
+    function recordLocked(round, tx) {
+        return audit.record('round.locked', `round.locked:${round._id}`, {
+            roundId: round._id,
+            mode: round.mode,
+            period: round.period
+        }, tx);
+    }
+
+    function recordVoided(round, tx) {
+        return audit.record('round.voided', `round.voided:${round._id}`, {
+            roundId: round._id,
+            mode: round.mode,
+            period: round.period,
+            reason: round.voidReason,
+            voidedBy: round.voidedBy
+        }, tx);
+    }
+
+    async function lockRound(round) {
+        if (!await storage.rounds.lock(round._id)) return;
+        await storage.transaction(async (tx) => {
+            await recordBets(round, tx);
+            await recordLocked(round, tx);
+        });
+    }
+
+    async function settleRound(round) {
+        const { number, color, size } = deriveResult(round.seed, round.period);
+
+        // Persist the result before touching bets, and only flip the round to
+        // settled once every bet is resolved. A crash in between leaves the round
+        // unsettled, so the loop retries and finds the bets already done.
+        // Writing the result also claims the round: voidRound refuses rounds
+        // that have one, and this refuses rounds that were voided.
+        const claimed = await storage.rounds.claimResult(round._id, { number, color, size });
+        if (!claimed) return;
+        // Payouts and every audit entry for them go in one transaction, so the
+        // audit head is written by one transaction per round, not one per bet
+        await storage.transaction(async (tx) => {
+            await recordBets(claimed, tx);
+            if (claimed.status === 'locked') await recordLocked(claimed, tx);
+            // The seed is public from here on, through the verify route
+            await audit.record('round.resulted', `round.resulted:${round._id}`, {
+                roundId: round._id,
+                mode: round.mode,
+                period: round.period,
+                seed: round.seed,
+                result: { number, color, size }
+            }, tx);
+            await settleBets(claimed, tx);
+            await audit.record('round.settled', `round.settled:${round._id}`, {
+                roundId: round._id,
+                mode: round.mode,
+                period: round.period
+            }, tx);
+        });
+        await storage.rounds.markSettled(claimed._id);
+        metrics.roundsSettled.inc({ mode: round.mode });
+        metrics.settlementLatency.observe({ mode: round.mode }, (clock.now() - round.endTime) / 1000);
+
+        logger.info('Round settled', { mode: round.mode, period: round.period, result: { number, color, size } });
+
+        // Create next round immediately
+        await createNewRound(round.mode);
+    }
+
+    // Pays and resolves the round's pending bets, in `tx` when given and in a
+    // transaction of its own otherwise
+    async function settleBets(round, tx = null) {
+        const settle = async (t) => {
+            const pending = await storage.bets.pendingForRound(round._id, t);
+            if (pending.length === 0) return;
+
+            const settledAt = clock.now();
+            const updates = [];
+            for (const bet of pending) {
+                // At the bet's own winMultiplier, whatever the table says now
+                const payout = engine.computePayout(bet, round.result, gameConfig.payouts);
+                if (payout > 0) {
+                    // Keyed by bet, so crediting again on a retry is a no-op
+                    await storage.ledger.post({
+                        userId: bet.userId,
+                        type: 'payout',
+                        amount: payout,
+                        key: `payout:${bet._id}`,
+                        betId: bet._id,
+                        note: `${round.mode} ${round.period}`
+                    }, t);
+                }
+                await audit.record('bet.settled', `bet.settled:${bet._id}`, {
+                    betId: bet._id,
+                    userId: bet.userId,
+                    roundId: round._id,
+                    result: payout > 0 ? 'win' : 'lose',
+                    payout
+                }, t);
+                updates.push({ id: bet._id, result: payout > 0 ? 'win' : 'lose', payout, settledAt });
+            }
+            await storage.bets.settle(updates, t);
+        };
+        return tx ? settle(tx) : storage.transaction(settle);
+    }
+
+    // Voids a round that has not started settling and refunds every stake on
+    // it. Returns null when the round already has a result or is closed.
+    async function voidRound(round, reason, voidedBy) {
+        const voided = await storage.rounds.markVoid(round._id, { voidReason: reason, voidedAt: clock.now(), voidedBy });
+        if (!voided) return null;
+        await refundRound(voided);
+        logger.info('Round voided', { mode: voided.mode, period: voided.period, reason });
+        return voided;
+    }
+
+    // Safe to re-run: only pending bets are touched. Every refund and its
+    // audit entry go in one transaction, like settlement.
+    //
+    // Bet transactions only read the round, so a bet already in flight when
+    // the round was voided can commit after the refunds here read the pending
+    // bets. Until the round's end time the loop keeps sweeping it (see
+    // tickMode), and it is only marked refunded once that has passed: bets
+    // close a lock window before the end, so by then nothing can still land.
+    async function refundRound(round) {
+        await storage.transaction(async (tx) => {
+            await recordVoided(round, tx);
+            await recordBets(round, tx);
+            const refundedAt = clock.now();
+            const pending = await storage.bets.pendingForRound(round._id, tx);
+            for (const bet of pending) {
+                await storage.ledger.post({
+                    userId: bet.userId,
+                    type: 'refund',
+                    amount: bet.totalAmount,
+                    key: `refund:${bet._id}`,
+                    betId: bet._id,
+                    note: `${round.mode} ${round.period} void`
+                }, tx);
+                await audit.record('bet.refunded', `bet.refunded:${bet._id}`, {
+                    betId: bet._id,
+                    userId: bet.userId,
+                    roundId: round._id,
+                    amount: bet.totalAmount
+                }, tx);
+                await storage.bets.markRefunded(bet._id, refundedAt, tx);
+            }
+            if (refundedAt < round.endTime) return;
+            await audit.record('round.refunded', `round.refunded:${round._id}`, {
+                roundId: round._id,
+                mode: round.mode,
+                period: round.period
+            }, tx);
+            await storage.rounds.markRefunded(round._id, refundedAt, tx);
+        });
+    }
+
+    // Runs whenever an instance takes over the game loop, before its first tick
+    async function reconcileRounds() {
+        const now = clock.now();
+
+        // Voids interrupted before all refunds went out
+        const unrefunded = await storage.rounds.findUnrefundedVoids();
+        for (const round of unrefunded) await refundRound(round);
+
+        for (const mode of Object.keys(MODES)) {
+            const modeMs = MODES[mode] * 1000;
+            const latest = await storage.rounds.latest(mode);
+            const stale = await storage.rounds.findStale(mode, now);
+
+            const staleRounds = [];
+            for (const round of stale) {
+                // A round that already has a result was mid-settlement and can
+                // only be finished, whatever the policy
+                const voided = recoveryPolicy === 'void' &&
+                    await voidRound(round, 'Round ended while the game loop was down');
+                if (!voided) await settleRound(round);
+                staleRounds.push({ period: round.period, action: voided ? 'void' : 'settled' });
+            }
+
+            const resumeStart = new Date(Math.floor(now.getTime() / modeMs) * modeMs);
+            const missedPeriods = latest ? Math.floor((resumeStart - latest.endTime) / modeMs) : 0;
+            if (missedPeriods > 0 || staleRounds.length > 0) {
+                await storage.roundGaps.create({
+                    mode,
+                    lastPeriod: latest.period,
+                    resumePeriod: generatePeriod(mode, resumeStart),
+                    from: latest.endTime,
+                    to: resumeStart,
+                    missedPeriods: Math.max(0, missedPeriods),
+                    staleRounds,
+                    policy: recoveryPolicy
+                });
+                logger.warn('Recovered rounds after downtime', {
+                    mode,
+                    missedPeriods,
+                    staleRounds: staleRounds.length,
+                    policy: recoveryPolicy
+                });
+            }
+        }
+    }
+
+    // One step of the loop for a mode: open a round if none is running, lock
+    // it inside the lock window, settle it once time is up
+    async function tickMode(mode) {
+        const round = await storage.rounds.latest(mode);
+        if (!round || round.status === 'settled' || round.status === 'void') {
+            // Sweeps a void round for bets that landed after its refunds
+            if (round && round.status === 'void' && !round.refundedAt) await refundRound(round);
+            // settleRound normally opens the next round; this covers the rest
+            await createNewRound(mode);
+            return;
+        }
+
+        const timeLeft = (round.endTime - clock.now()) / 1000;
+        if (timeLeft <= gameConfig.lockWindowSeconds && round.status === 'open') {
+            await lockRound(round);
+        } else if (timeLeft <= 0) {
+            await settleRound(round);
+        }
+    }
+
+    async function tick() {
+        await Promise.all(Object.keys(MODES).map(async (mode) => {
+            try {
+                await tickMode(mode);
+            } catch (err) {
+                logger.error('Error in game loop', { mode, err });
+            }
+        }));
+    }
+
+    return {
+        generatePeriod,
+        drawSeed,
+        createNewRound,
+        settleRound,
+        settleBets,
+        voidRound,
+        refundRound,
+        reconcileRounds,
+        tickMode,
+        tick
+    };
+}
+
+module.exports = { RECOVERY_POLICY, createRoundEngine };
@@ -0,0 +1,217 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const engine = require('../../public/engine');
+const { MODES, gameConfig, applyConfig, validateConfig } = require('../config');
+const { MAX_DEPOSIT } = require('../wallet');
+
+const { roundCredit } = engine;
+
+// What the house would pay out on each possible result, given the round's
+// pending stakes and the multipliers they were placed at. Used by the admin console to watch exposure on open rounds.
+function roundLiability(groups) {
+    const staked = groups.reduce((sum, group) => sum + group.totalAmount, 0);
+
+    return engine.BET_VALUES.number.map(value => {
+        const number = Number(value);
+        const result = { number, color: engine.colorOf(number), size: engine.sizeOf(number) };
+        const payout = groups.reduce((sum, group) => sum + engine.computePayout(group, result, gameConfig.payouts), 0);
+        return { ...result, payout: roundCredit(payout), net: roundCredit(staked - payout) };
+    });
+}
+
+function createAdminRoutes({ clock, storage, rounds, audit, auth }) {
+    const router = express.Router();
+    const { requireAuth, requireAdmin } = auth;
+
+    // GET /api/admin/rounds?mode=30s&limit=50&before=<startTime>
+    // Latest rounds for a mode, plus the live round's liability per outcome
+    router.get('/api/admin/rounds', requireAuth, requireAdmin, async (req, res) => {
+        try {
+            const mode = String(req.query.mode || '');
+            if (!MODES[mode]) return res.status(400).json({ error: 'Invalid mode' });
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+            let before = null;
+            if (req.query.before) {
+                before = new Date(String(req.query.before));
+                if (isNaN(before)) return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const page = await storage.rounds.list(mode, { before, limit });
+
+            let live = null;
+            const current = page[0];
+            if (!before && current && (current.status === 'open' || current.status === 'locked')) {
+                const liability = roundLiability(await storage.bets.exposure(current._id));
+                live = { period: current.period, status: current.status, liability };
+            }
+            const nextCursor = page.length === limit ? page[page.length - 1].startTime : null;
+            res.json({ rounds: page, live, nextCursor });
+        } catch (err) {
+            req.log.error('Error in /api/admin/rounds', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/admin/bets?username=&mode=&period=&limit=50&before=<betId>
+    router.get('/api/admin/bets', requireAuth, requireAdmin, async (req, res) => {
+        try {
+            const { username, mode, period, before } = req.query;
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+            const search = { limit };
+            if (username) {
+                const user = await storage.users.findByUsername(String(username));
+                if (!user) return res.status(404).json({ error: 'Player not found' });
+                search.userId = user._id;
+            }
+            if (mode) search.mode = String(mode);
+            if (period) search.period = String(period);
+            if (before) {
+                if (!mongoose.isValidObjectId(before)) return res.status(400).json({ error: 'Invalid cursor' });
+                search.before = before;
+            }
+
+            const bets = await storage.bets.search(search);
+            const nextCursor = bets.length === limit ? bets[bets.length - 1]._id : null;
+            res.json({ bets, nextCursor });
+        } catch (err) {
+            req.log.error('Error in /api/admin/bets', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/admin/players/:username
+    // Balance and recent ledger entries for one player
+    router.get('/api/admin/players/:username', requireAuth, requireAdmin, async (req, res) => {
+        try {
+            const found = await storage.users.findByUsername(req.params.username);
+            if (!found) return res.status(404).json({ error: 'Player not found' });
+            const user = { _id: found._id, username: found.username, role: found.role, createdAt: found.createdAt };
+
+            const [balance, entries] = await Promise.all([
+                storage.wallets.balance(user._id),
+                storage.ledger.list(user._id, { limit: 50 })
+            ]);
+            res.json({ user, balance: roundCredit(balance), entries });
+        } catch (err) {
+            req.log.error('Error in /api/admin/players', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/admin/players/:username/adjust
+    // Credits (positive amount) or debits a player's play-credit balance
+    router.post('/api/admin/players/:username/adjust', requireAuth, requireAdmin, async (req, res) => {
+        try {
+            const amount = Number(req.body.amount);
+            const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+            if (!Number.isFinite(amount) || amount === 0 || Math.abs(amount) > MAX_DEPOSIT) {
+                return res.status(400).json({ error: 'Invalid amount' });
+            }
+            if (note.length < 3 || note.length > 500) {
+                return res.status(400).json({ error: 'An audit note of 3-500 characters is required' });
+            }
+
+            const user = await storage.users.findByUsername(req.params.username);
+            if (!user) return res.status(404).json({ error: 'Player not found' });
+
+            const entry = await storage.ledger.post({
+                userId: user._id,
+                type: 'adjustment',
+                amount,
+                note,
+                actorId: req.user._id
+            });
+            if (!entry) return res.status(400).json({ error: 'Insufficient balance for this debit' });
+            res.json({ success: true, entry, balance: entry.balanceAfter });
+        } catch (err) {
+            req.log.error('Error in /api/admin/players/adjust', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/admin/rounds/:mode/:period/void
+    router.post('/api/admin/rounds/:mode/:period/void', requireAuth, requireAdmin, async (req, res) => {
+        try {
+            const { mode, period } = req.params;
+            const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+            if (!MODES[mode]) return res.status(400).json({ error: 'Invalid mode' });
+            if (reason.length < 3 || reason.length > 500) {
+                return res.status(400).json({ error: 'A reason of 3-500 characters is required' });
+            }
+
+            const round = await storage.rounds.findByPeriod(mode, period);
+            if (!round) return res.status(404).json({ error: 'Round not found' });
+
+            const voided = await rounds.voidRound(round, reason, req.user._id);
+            if (!voided) {
+                // Once a result is written the loop is paying out; it has to finish
+                const state = round.status === 'settled' || round.status === 'void' ? round.status : 'already settling';
+                return res.status(409).json({ error: `Round is ${state} and can no longer be voided` });
+            }
+
+            const refunded = await storage.bets.countByResult(voided._id, 'refunded');
+            res.json({
+                success: true,
+                round: { mode: voided.mode, period: voided.period, status: voided.status, voidReason: voided.voidReason, voidedAt: voided.voidedAt },
+                refunded
+            });
+        } catch (err) {
+            req.log.error('Error in /api/admin/rounds/void', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // PUT /api/admin/config
+    // Accepts any of the config fields; the rest keep their current values.
+    // New payouts only apply to bets placed from now on.
+    router.put('/api/admin/config', requireAuth, requireAdmin, async (req, res) => {
+        try {
+            const fields = ['modes', 'lockWindowSeconds', 'minStake', 'maxStake', 'multipliers', 'payouts'];
+            const next = {};
+            fields.forEach(field => {
+                next[field] = req.body[field] !== undefined ? req.body[field] : gameConfig[field];
+            });
+            const error = validateConfig(next);
+            if (error) return res.status(400).json({ error });
+
+            await storage.config.save(next, req.user._id, clock.now());
+            applyConfig(next);
+            res.json(gameConfig);
+        } catch (err) {
+            req.log.error('Error in /api/admin/config', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/admin/audit?after=<seq>&limit=100
+    // Audit entries oldest first. Pass the returned nextCursor as `after`.
+    router.get('/api/admin/audit', requireAuth, requireAdmin, async (req, res) => {
+        try {
+            const after = req.query.after ? parseInt(req.query.after, 10) : 0;
+            if (!Number.isInteger(after) || after < 0) return res.status(400).json({ error: 'Invalid cursor' });
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+            const entries = await storage.audit.list({ afterSeq: after, limit });
+            const nextCursor = entries.length === limit ? entries[entries.length - 1].seq : null;
+            res.json({ entries, nextCursor });
+        } catch (err) {
+            req.log.error('Error in /api/admin/audit', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/admin/audit/verify
+    // Rechecks every hash on the audit trail
+    router.get('/api/admin/audit/verify', requireAuth, requireAdmin, async (req, res) => {
+        try {
+            res.json(await audit.verify());
+        } catch (err) {
+            req.log.error('Error in /api/admin/audit/verify', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRoutes };
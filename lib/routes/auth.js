@@ -0,0 +1,91 @@
+const express = require('express');
+const { STARTING_CREDIT } = require('../wallet');
+const { hashPassword, verifyPassword } = require('../auth');
+
+const USERNAME_RE = /^[a-zA-Z0-9_]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function createAuthRoutes({ storage, auth, limiter }) {
+    const router = express.Router();
+    const { createSession, requireAuth } = auth;
+    const { rateLimit } = limiter;
+
+    // POST /api/auth/register
+    router.post('/api/auth/register', rateLimit('auth'), async (req, res) => {
+        try {
+            const { username, password } = req.body;
+            if (typeof username !== 'string' || !USERNAME_RE.test(username)) {
+                return res.status(400).json({ error: 'Username must be 3-20 letters, digits or underscores' });
+            }
+            if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+                return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+            }
+
+            const existing = await storage.users.findByUsername(username);
+            if (existing) return res.status(409).json({ error: 'Username is taken' });
+
+            const user = await storage.users.create({
+                username,
+                passwordHash: hashPassword(password),
+                // Only an operator can make an admin (scripts/set-role.js)
+                role: 'player'
+            });
+            if (!user) return res.status(409).json({ error: 'Username is taken' });
+            if (STARTING_CREDIT > 0) {
+                await storage.ledger.post({
+                    userId: user._id,
+                    type: 'bonus',
+                    amount: STARTING_CREDIT,
+                    key: `welcome-bonus:${user._id}`,
+                    note: 'Welcome bonus'
+                });
+            }
+            const token = await createSession(user._id);
+            res.status(201).json({ token, user: { id: user._id, username: user.username, role: user.role } });
+        } catch (err) {
+            req.log.error('Error in /api/auth/register', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/auth/login
+    router.post('/api/auth/login', rateLimit('auth'), async (req, res) => {
+        try {
+            const { username, password } = req.body;
+            if (typeof username !== 'string' || typeof password !== 'string') {
+                return res.status(400).json({ error: 'Missing fields' });
+            }
+
+            const user = await storage.users.findByUsername(username);
+            if (!user || !verifyPassword(password, user.passwordHash)) {
+                return res.status(401).json({ error: 'Invalid username or password' });
+            }
+
+            const token = await createSession(user._id);
+            res.json({ token, user: { id: user._id, username: user.username, role: user.role } });
+        } catch (err) {
+            req.log.error('Error in /api/auth/login', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/auth/logout
+    router.post('/api/auth/logout', requireAuth, async (req, res) => {
+        try {
+            await storage.sessions.delete(req.sessionTokenHash);
+            res.json({ success: true });
+        } catch (err) {
+            req.log.error('Error in /api/auth/logout', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/auth/me
+    router.get('/api/auth/me', requireAuth, (req, res) => {
+        res.json({ id: req.user._id, username: req.user.username, role: req.user.role });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRoutes };
@@ -0,0 +1,446 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const engine = require('../../public/engine');
+const { MODES, gameConfig } = require('../config');
+const { FAIRNESS_SCHEME, hashForward, deriveResult, sha256Hex } = require('../fairness');
+const { BetRejectedError, IdempotencyKeyReusedError } = require('../errors');
+
+const { periodDay } = engine;
+
+const HISTORY_COLORS = {
+    green: ['green', 'green_violet'],
+    red: ['red', 'red_violet'],
+    violet: ['red_violet', 'green_violet']
+};
+const MAX_EXPORT_DAYS = 31;
+const MAX_STATS_ROUNDS = 1000;
+const MAX_SLIP_SELECTIONS = 10;
+const IDEMPOTENCY_KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+// Filters shared by the history list and export. Dates are ISO 8601; a bare
+// YYYY-MM-DD is midnight UTC, and `day` covers that whole UTC day.
+// Returns { filters } or { error }.
+function buildHistoryFilters(params) {
+    const filters = {};
+    let from = params.from ? new Date(String(params.from)) : null;
+    let to = params.to ? new Date(String(params.to)) : null;
+    if (params.day) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(params.day))) return { error: 'Invalid day' };
+        from = new Date(`${params.day}T00:00:00Z`);
+        to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+    }
+    if ((from && isNaN(from)) || (to && isNaN(to))) return { error: 'Invalid date range' };
+    if (from) filters.from = from;
+    if (to) filters.to = to;
+
+    if (params.number !== undefined && params.number !== '') {
+        if (!/^[0-9]$/.test(String(params.number))) return { error: 'Invalid number' };
+        filters.number = Number(params.number);
+    }
+    if (params.color) {
+        if (!HISTORY_COLORS[params.color]) return { error: 'Invalid color' };
+        filters.colors = HISTORY_COLORS[params.color];
+    }
+    if (params.size) {
+        if (!['big', 'small'].includes(params.size)) return { error: 'Invalid size' };
+        filters.size = params.size;
+    }
+    return { filters };
+}
+
+// Reads the optional Idempotency-Key header of a bet request. The key is
+// tied to a hash of `request`, so it can't be reused for a different bet.
+// Returns { idempotency } (null without a key) or { error }.
+function readIdempotency(req, request) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return { idempotency: null };
+    if (!IDEMPOTENCY_KEY_RE.test(key)) return { error: 'Invalid Idempotency-Key' };
+    return { idempotency: { key, requestHash: sha256Hex(JSON.stringify(request)) } };
+}
+
+function createGameRoutes({ clock, storage, rounds, live, betting, auth, limiter, metrics }) {
+    const router = express.Router();
+    const { requireAuth } = auth;
+    const { rateLimit } = limiter;
+
+    // The bet and slip routes refuse bets through this, so every refusal is
+    // counted by reason
+    function rejectBet(res, status, error, reason) {
+        metrics.betsRejected.inc({ reason });
+        return res.status(status).json({ error });
+    }
+
+    function countPlaced(mode, bets) {
+        metrics.betsAccepted.inc({ mode }, bets.length);
+        metrics.stakeVolume.inc({ mode }, bets.reduce((sum, bet) => sum + bet.totalAmount, 0));
+    }
+
+    // GET /api/game/config
+    router.get('/api/game/config', (req, res) => {
+        res.json(gameConfig);
+    });
+
+    // GET /api/game/status
+    router.get('/api/game/status', async (req, res) => {
+        try {
+            res.json(await live.buildStatus());
+        } catch (err) {
+            req.log.error('Error in /api/game/status', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/game/stream
+    // Sends a `snapshot` of every mode on connect, then a `round` event per
+    // lifecycle change.
+    router.get('/api/game/stream', async (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        await live.addClient(req, res);
+    });
+
+    // GET /api/game/verify/:mode/:period
+    router.get('/api/game/verify/:mode/:period', async (req, res) => {
+        try {
+            const { mode, period } = req.params;
+            if (!MODES[mode]) return res.status(400).json({ error: 'Invalid mode' });
+            if (!/^\d{8,20}$/.test(period)) return res.status(400).json({ error: 'Invalid period' });
+
+            const round = await storage.rounds.findByPeriod(mode, period);
+            if (!round) return res.status(404).json({ error: 'Round not found' });
+
+            const response = {
+                mode: round.mode,
+                period: round.period,
+                status: round.status,
+                startTime: round.startTime,
+                endTime: round.endTime,
+                commitHash: round.commitHash
+            };
+            if (round.status !== 'settled') {
+                return res.json({ ...response, seed: null, message: 'The seed is revealed once the round settles' });
+            }
+
+            const derived = deriveResult(round.seed, round.period);
+            res.json({
+                ...response,
+                seed: round.seed,
+                result: round.result,
+                steps: [
+                    { step: 'hash', description: 'sha256(seed + period), hex encoded', value: derived.hash },
+                    { step: 'commitment', description: 'hash equals the commitHash published before the round', value: derived.hash === round.commitHash },
+                    { step: 'byte', description: 'first byte of the hash: parseInt(hash.slice(0, 2), 16)', value: derived.byte },
+                    { step: 'number', description: 'byte % 10', value: derived.number },
+                    { step: 'color', description: '0 = red_violet, 5 = green_violet, 1/3/7/9 = green, otherwise red', value: derived.color },
+                    { step: 'size', description: 'number >= 5 is big, otherwise small', value: derived.size }
+                ],
+                verified: derived.hash === round.commitHash &&
+                    derived.number === round.result.number &&
+                    derived.color === round.result.color &&
+                    derived.size === round.result.size
+            });
+        } catch (err) {
+            req.log.error('Error in /api/game/verify', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/game/chain/:mode
+    // Anchors of the most recent seed chains for a mode
+    router.get('/api/game/chain/:mode', async (req, res) => {
+        try {
+            const { mode } = req.params;
+            if (!MODES[mode]) return res.status(400).json({ error: 'Invalid mode' });
+
+            const chains = await storage.seedChains.list(mode, 30);
+            res.json({ scheme: FAIRNESS_SCHEME, chains });
+        } catch (err) {
+            req.log.error('Error in /api/game/chain', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/game/chain/:mode/:day
+    // Publishes a day's anchor and checks that every settled round's seed hashes
+    // forward to the seed before it, ending at the anchor. Once the day is over
+    // the root is revealed too.
+    router.get('/api/game/chain/:mode/:day', async (req, res) => {
+        try {
+            const { mode, day } = req.params;
+            if (!MODES[mode]) return res.status(400).json({ error: 'Invalid mode' });
+            if (!/^\d{8}$/.test(day)) return res.status(400).json({ error: 'Invalid day' });
+
+            const chain = await storage.seedChains.find(mode, day);
+            if (!chain) return res.status(404).json({ error: 'No seed chain for this day' });
+
+            const settled = await storage.rounds.chainRounds(mode, day);
+
+            let prev = { chainIndex: 0, seed: chain.anchor };
+            const links = settled.map(round => {
+                const valid = hashForward(round.seed, round.chainIndex - prev.chainIndex) === prev.seed;
+                prev = round;
+                return { period: round.period, chainIndex: round.chainIndex, seed: round.seed, valid };
+            });
+
+            const dayOver = day < periodDay(rounds.generatePeriod(mode, clock.now()));
+            const response = {
+                mode,
+                day,
+                length: chain.length,
+                anchor: chain.anchor,
+                publishedAt: chain.createdAt,
+                root: dayOver ? chain.root : null,
+                rounds: links,
+                verified: links.every(link => link.valid)
+            };
+            if (dayOver) {
+                response.rootValid = hashForward(chain.root, chain.length) === chain.anchor;
+                response.verified = response.verified && response.rootValid;
+            }
+            res.json(response);
+        } catch (err) {
+            req.log.error('Error in /api/game/chain', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/game/audit/head
+    // The latest audit entry's seq and hash. A copy kept by anyone pins the
+    // history up to that entry: changing any of it changes this hash.
+    router.get('/api/game/audit/head', async (req, res) => {
+        try {
+            const head = await storage.audit.head();
+            res.json(head ? { seq: head.seq, hash: head.hash, at: head.at } : { seq: 0, hash: null, at: null });
+        } catch (err) {
+            req.log.error('Error in /api/game/audit/head', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/game/history/:mode?limit=20&before=<startTime>&from=&to=&day=&number=&color=&size=
+    // Newest first. Pass the returned nextCursor as `before` for the next page.
+    router.get('/api/game/history/:mode', async (req, res) => {
+        try {
+            const { mode } = req.params;
+            if (!MODES[mode]) return res.status(400).json({ error: 'Invalid mode' });
+
+            const { filters, error } = buildHistoryFilters(req.query);
+            if (error) return res.status(400).json({ error });
+            if (req.query.before) {
+                filters.before = new Date(String(req.query.before));
+                if (isNaN(filters.before)) return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+
+            const page = await storage.rounds.history(mode, filters, limit);
+            const nextCursor = page.length === limit ? page[page.length - 1].startTime : null;
+            res.json({ rounds: page, nextCursor });
+        } catch (err) {
+            req.log.error('Error in /api/game/history', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/game/history/:mode/export?format=csv|ndjson&day=YYYY-MM-DD (or from/to)
+    // Streams every matching round, oldest first, without buffering the range.
+    router.get('/api/game/history/:mode/export', rateLimit('export'), async (req, res) => {
+        try {
+            const { mode } = req.params;
+            if (!MODES[mode]) return res.status(400).json({ error: 'Invalid mode' });
+            const format = req.query.format === 'ndjson' ? 'ndjson' : 'csv';
+
+            const { filters, error } = buildHistoryFilters(req.query);
+            if (error) return res.status(400).json({ error });
+            const { from, to } = filters;
+            if (!from || !to || to - from > MAX_EXPORT_DAYS * 24 * 60 * 60 * 1000 || to <= from) {
+                return res.status(400).json({ error: `Export needs a day, or a from/to range of up to ${MAX_EXPORT_DAYS} days` });
+            }
+
+            const name = `chromex-${mode}-${from.toISOString().slice(0, 10)}`;
+            res.set({
+                'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+                'Content-Disposition': `attachment; filename="${name}.${format === 'csv' ? 'csv' : 'ndjson'}"`
+            });
+
+            // pipeline waits out backpressure and, if the client goes away,
+            // stops reading, which runs the finally and closes the cursor
+            const cursor = storage.rounds.stream(mode, filters);
+            async function* lines() {
+                try {
+                    if (format === 'csv') yield 'period,startTime,endTime,number,color,size,commitHash,seed\n';
+                    for await (const round of cursor) {
+                        yield format === 'csv'
+                            ? [
+                                round.period,
+                                round.startTime.toISOString(),
+                                round.endTime.toISOString(),
+                                round.result.number,
+                                round.result.color,
+                                round.result.size,
+                                round.commitHash,
+                                round.seed
+                            ].join(',') + '\n'
+                            : JSON.stringify({
+                                period: round.period,
+                                startTime: round.startTime,
+                                endTime: round.endTime,
+                                result: round.result,
+                                commitHash: round.commitHash,
+                                seed: round.seed
+                            }) + '\n';
+                    }
+                } finally {
+                    await cursor.close().catch(() => {});
+                }
+            }
+            await pipeline(Readable.from(lines()), res);
+        } catch (err) {
+            // The client left mid-download
+            if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+            req.log.error('Error in /api/game/history/export', { err });
+            if (!res.headersSent) return res.status(500).json({ error: 'Internal Server Error' });
+            res.destroy(err);
+        }
+    });
+
+    // GET /api/game/stats/:mode?rounds=100
+    // Frequencies, streaks and a chi-square fit over the last N settled rounds
+    router.get('/api/game/stats/:mode', async (req, res) => {
+        try {
+            const { mode } = req.params;
+            if (!MODES[mode]) return res.status(400).json({ error: 'Invalid mode' });
+            const limit = Math.min(Math.max(parseInt(req.query.rounds, 10) || 100, 1), MAX_STATS_ROUNDS);
+
+            const recent = await storage.rounds.recentSettled(mode, limit);
+            const results = recent.map(r => r.result);
+
+            res.json({
+                mode,
+                ...engine.resultStats(results),
+                trend: recent.map(r => ({
+                    period: r.period,
+                    number: r.result.number,
+                    color: r.result.color,
+                    size: r.result.size
+                }))
+            });
+        } catch (err) {
+            req.log.error('Error in /api/game/stats', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/game/bet
+    // With an Idempotency-Key header, a repeat of the request returns the
+    // original response (flagged Idempotent-Replayed) instead of betting again.
+    // The slip route below takes the header the same way.
+    router.post('/api/game/bet', requireAuth, rateLimit('bet'), async (req, res) => {
+        try {
+            const { mode, betType, betValue, amount, multiplier } = req.body;
+
+            if (!MODES[mode]) return rejectBet(res, 400, 'Invalid mode', 'invalid');
+            const invalid = engine.validateBet({ betType, betValue, amount, multiplier }, gameConfig);
+            if (invalid) return rejectBet(res, 400, invalid, 'invalid');
+            const request = { mode, betType, betValue: String(betValue), amount, multiplier };
+            const { idempotency, error } = readIdempotency(req, request);
+            if (error) return rejectBet(res, 400, error, 'invalid');
+
+            const { bet, balance, replayed } = await betting.placeBet({ userId: req.user._id, ...request, idempotency });
+            if (replayed) res.set('Idempotent-Replayed', 'true');
+            else countPlaced(mode, [bet]);
+            res.json({ success: true, bet, balance });
+        } catch (err) {
+            if (err instanceof BetRejectedError) return rejectBet(res, 400, err.message, err.reason);
+            if (err instanceof IdempotencyKeyReusedError) return rejectBet(res, 422, err.message, 'idempotency_key_reused');
+            req.log.error('Error in /api/game/bet', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/game/slip  { mode, period, selections: [{ betType, betValue, amount, multiplier }] }
+    // Places every selection on one round, or none of them
+    router.post('/api/game/slip', requireAuth, rateLimit('bet'), async (req, res) => {
+        try {
+            const { mode, period, selections } = req.body;
+
+            if (!MODES[mode]) return rejectBet(res, 400, 'Invalid mode', 'invalid');
+            if (typeof period !== 'string' || !period) return rejectBet(res, 400, 'Missing period', 'invalid');
+            if (!Array.isArray(selections) || selections.length === 0) {
+                return rejectBet(res, 400, 'Slip has no selections', 'invalid');
+            }
+            if (selections.length > MAX_SLIP_SELECTIONS) {
+                return rejectBet(res, 400, `A slip can hold at most ${MAX_SLIP_SELECTIONS} selections`, 'invalid');
+            }
+            for (const [i, selection] of selections.entries()) {
+                const invalid = engine.validateBet(selection || {}, gameConfig);
+                if (invalid) return rejectBet(res, 400, `Selection ${i + 1}: ${invalid}`, 'invalid');
+            }
+
+            const request = {
+                mode,
+                period,
+                selections: selections.map(({ betType, betValue, amount, multiplier }) => ({
+                    betType,
+                    betValue: String(betValue),
+                    amount,
+                    multiplier
+                }))
+            };
+            const { idempotency, error } = readIdempotency(req, request);
+            if (error) return rejectBet(res, 400, error, 'invalid');
+
+            const { bets, balance, replayed } = await betting.placeBets({
+                userId: req.user._id,
+                ...request,
+                slipId: new mongoose.Types.ObjectId(),
+                idempotency
+            });
+            if (replayed) res.set('Idempotent-Replayed', 'true');
+            else countPlaced(mode, bets);
+            res.json({ success: true, slipId: bets[0].slipId, bets, balance });
+        } catch (err) {
+            if (err instanceof BetRejectedError) return rejectBet(res, 400, err.message, err.reason);
+            if (err instanceof IdempotencyKeyReusedError) return rejectBet(res, 422, err.message, 'idempotency_key_reused');
+            req.log.error('Error in /api/game/slip', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // DELETE /api/game/bet/:id
+    router.delete('/api/game/bet/:id', requireAuth, rateLimit('bet'), async (req, res) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Bet not found' });
+            const exists = await storage.bets.findForUser(req.params.id, req.user._id);
+            if (!exists) return res.status(404).json({ error: 'Bet not found' });
+
+            const { bet, balance } = await betting.cancelBet({ userId: req.user._id, betId: req.params.id });
+            res.json({ success: true, bet, balance });
+        } catch (err) {
+            if (err instanceof BetRejectedError) return res.status(400).json({ error: err.message });
+            req.log.error('Error in DELETE /api/game/bet', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/game/my-bets
+    router.get('/api/game/my-bets', requireAuth, async (req, res) => {
+        try {
+            const mode = req.query.mode ? String(req.query.mode) : null;
+            const bets = await storage.bets.forUser(req.user._id, { mode, limit: 20 });
+            res.json(bets);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createGameRoutes };
@@ -0,0 +1,101 @@
+const express = require('express');
+const { LIMIT_KINDS, LIMIT_PERIODS } = require('../models');
+const { LIMIT_INCREASE_DELAY_MS, MAX_EXCLUSION_DAYS, effectiveLimits, createPlayLimits } = require('../limits');
+
+function createLimitsRoutes({ clock, storage, auth }) {
+    const router = express.Router();
+    const { requireAuth } = auth;
+    const { playLimitsView } = createPlayLimits({ storage, clock });
+
+    // GET /api/limits
+    router.get('/api/limits', requireAuth, async (req, res) => {
+        try {
+            res.json(await playLimitsView(req.user._id));
+        } catch (err) {
+            req.log.error('Error in /api/limits', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // PUT /api/limits  { stake: { daily, weekly, monthly }, loss: { ... }, sessionReminderMinutes }
+    // Only the limits present are changed; null removes one. Lowering a limit
+    // applies at once, raising or removing it waits LIMIT_INCREASE_HOURS.
+    router.put('/api/limits', requireAuth, async (req, res) => {
+        try {
+            for (const kind of LIMIT_KINDS) {
+                const changes = req.body[kind];
+                if (changes === undefined) continue;
+                if (!changes || typeof changes !== 'object') return res.status(400).json({ error: `Invalid ${kind} limits` });
+                for (const period of LIMIT_PERIODS) {
+                    const value = changes[period];
+                    if (value !== undefined && value !== null && !(Number.isFinite(value) && value > 0)) {
+                        return res.status(400).json({ error: `Invalid ${period} ${kind} limit` });
+                    }
+                }
+            }
+            const { sessionReminderMinutes } = req.body;
+            if (sessionReminderMinutes !== undefined && sessionReminderMinutes !== null &&
+                !(Number.isInteger(sessionReminderMinutes) && sessionReminderMinutes >= 1 && sessionReminderMinutes <= 24 * 60)) {
+                return res.status(400).json({ error: 'Session reminder must be between 1 and 1440 minutes' });
+            }
+
+            const now = clock.now();
+            const doc = await storage.playLimits.find(req.user._id);
+            // Fold matured increases into the stored limits before changing them
+            const limits = effectiveLimits(doc, now);
+            let pending = (doc?.pending || []).filter(change => change.effectiveAt > now);
+
+            LIMIT_KINDS.forEach(kind => {
+                LIMIT_PERIODS.forEach(period => {
+                    const value = req.body[kind]?.[period];
+                    if (value === undefined) return;
+                    const current = limits[kind][period];
+                    pending = pending.filter(change => change.kind !== kind || change.period !== period);
+                    if (value === current) return;
+                    if (value !== null && (current === null || value < current)) {
+                        limits[kind][period] = value;
+                    } else {
+                        pending.push({ kind, period, value, effectiveAt: new Date(now.getTime() + LIMIT_INCREASE_DELAY_MS) });
+                    }
+                });
+            });
+
+            const fields = { ...limits, pending };
+            if (sessionReminderMinutes !== undefined) fields.sessionReminderMinutes = sessionReminderMinutes;
+            await storage.playLimits.save(req.user._id, fields);
+            res.json(await playLimitsView(req.user._id));
+        } catch (err) {
+            req.log.error('Error in PUT /api/limits', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/limits/exclude  { type: 'cooling-off' | 'self-exclusion', days }
+    // Pauses betting; an exclusion can be extended but not shortened or lifted
+    router.post('/api/limits/exclude', requireAuth, async (req, res) => {
+        try {
+            const { type, days } = req.body;
+            if (!['cooling-off', 'self-exclusion'].includes(type)) {
+                return res.status(400).json({ error: 'Invalid exclusion type' });
+            }
+            if (!Number.isInteger(days) || days < 1 || days > MAX_EXCLUSION_DAYS) {
+                return res.status(400).json({ error: `Days must be between 1 and ${MAX_EXCLUSION_DAYS}` });
+            }
+
+            const until = new Date(clock.now().getTime() + days * 24 * 60 * 60 * 1000);
+            const doc = await storage.playLimits.find(req.user._id);
+            if (doc?.excludedUntil && doc.excludedUntil > until) {
+                return res.status(400).json({ error: `Betting is already paused until ${doc.excludedUntil.toISOString()}` });
+            }
+            await storage.playLimits.save(req.user._id, { excludedUntil: until, exclusionType: type });
+            res.json(await playLimitsView(req.user._id));
+        } catch (err) {
+            req.log.error('Error in /api/limits/exclude', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createLimitsRoutes };
@@ -0,0 +1,91 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const engine = require('../../public/engine');
+const { FIRST_DEPOSIT_BONUS, MAX_DEPOSIT, MIN_WITHDRAWAL } = require('../wallet');
+
+const { roundCredit } = engine;
+
+function createWalletRoutes({ storage, auth, limiter }) {
+    const router = express.Router();
+    const { requireAuth } = auth;
+    const { rateLimit } = limiter;
+
+    // GET /api/wallet
+    router.get('/api/wallet', requireAuth, async (req, res) => {
+        try {
+            res.json({ balance: roundCredit(await storage.wallets.balance(req.user._id)) });
+        } catch (err) {
+            req.log.error('Error in /api/wallet', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // GET /api/wallet/statement?limit=50&before=<entryId>
+    router.get('/api/wallet/statement', requireAuth, async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+            const { before } = req.query;
+            if (before && !mongoose.isValidObjectId(before)) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const listed = await storage.ledger.list(req.user._id, { before, limit });
+            // actorId is for the admin console only
+            const entries = listed.map(({ actorId, ...entry }) => entry);
+            const nextCursor = entries.length === limit ? entries[entries.length - 1]._id : null;
+            res.json({ entries, nextCursor });
+        } catch (err) {
+            req.log.error('Error in /api/wallet/statement', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/wallet/deposit
+    router.post('/api/wallet/deposit', requireAuth, rateLimit('wallet'), async (req, res) => {
+        try {
+            const amount = Number(req.body.amount);
+            if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_DEPOSIT) {
+                return res.status(400).json({ error: 'Invalid amount' });
+            }
+
+            const isFirstDeposit = !(await storage.ledger.hasType(req.user._id, 'deposit'));
+            let entry = await storage.ledger.post({ userId: req.user._id, type: 'deposit', amount });
+            let bonus = 0;
+            if (isFirstDeposit) {
+                bonus = roundCredit(amount * FIRST_DEPOSIT_BONUS);
+                entry = await storage.ledger.post({
+                    userId: req.user._id,
+                    type: 'bonus',
+                    amount: bonus,
+                    key: `first-deposit-bonus:${req.user._id}`,
+                    note: 'First deposit bonus'
+                });
+            }
+            res.json({ success: true, bonus, balance: entry.balanceAfter });
+        } catch (err) {
+            req.log.error('Error in /api/wallet/deposit', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    // POST /api/wallet/withdraw
+    router.post('/api/wallet/withdraw', requireAuth, rateLimit('wallet'), async (req, res) => {
+        try {
+            const amount = Number(req.body.amount);
+            if (!Number.isFinite(amount) || amount < MIN_WITHDRAWAL) {
+                return res.status(400).json({ error: `Minimum withdrawal is ${MIN_WITHDRAWAL}` });
+            }
+
+            const entry = await storage.ledger.post({ userId: req.user._id, type: 'withdrawal', amount: -amount });
+            if (!entry) return res.status(400).json({ error: 'Insufficient balance' });
+            res.json({ success: true, balance: entry.balanceAfter });
+        } catch (err) {
+            req.log.error('Error in /api/wallet/withdraw', { err });
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createWalletRoutes };
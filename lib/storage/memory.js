@@ -0,0 +1,654 @@
+const fs = require('fs');
+const { Types } = require('mongoose');
+const engine = require('../../public/engine');
+const { LIMIT_PERIODS } = require('../models');
+const { systemClock } = require('../clock');
+
+const { roundCredit } = engine;
+
+const COLLECTIONS = ['rounds', 'bets', 'users', 'ledger', 'seedChains', 'roundGaps', 'audit'];
+const MAPS = ['sessions', 'idempotencyKeys', 'wallets', 'playLimits'];
+// How often expired rate limit windows and idempotency keys are swept
+const PRUNE_INTERVAL_MS = 60000;
+
+function copy(doc) {
+    if (!doc) return null;
+    const out = { ...doc };
+    if (doc.result && typeof doc.result === 'object') out.result = { ...doc.result };
+    return out;
+}
+
+// Like a Mongoose select: `_id` plus the space-separated fields
+function pick(doc, fields) {
+    const out = { _id: doc._id };
+    fields.split(' ').forEach(field => {
+        if (doc[field] !== undefined) out[field] = doc[field];
+    });
+    if (out.result && typeof out.result === 'object') out.result = { ...out.result };
+    return out;
+}
+
+function copyLimits(doc) {
+    if (!doc) return null;
+    return {
+        ...doc,
+        stake: { ...doc.stake },
+        loss: { ...doc.loss },
+        pending: (doc.pending || []).map(change => ({ ...change }))
+    };
+}
+
+function sameId(a, b) {
+    return String(a) === String(b);
+}
+
+function newestFirst(a, b) {
+    return b.startTime - a.startTime;
+}
+
+// Ids and dates survive a snapshot as { $oid } and { $date }
+function snapshotReplacer(key, value) {
+    const raw = this[key];
+    if (raw instanceof Date) return { $date: raw.toISOString() };
+    if (raw instanceof Types.ObjectId) return { $oid: raw.toHexString() };
+    return value;
+}
+
+function snapshotReviver(key, value) {
+    if (value && typeof value === 'object') {
+        if (typeof value.$date === 'string') return new Date(value.$date);
+        if (typeof value.$oid === 'string') return new Types.ObjectId(value.$oid);
+    }
+    return value;
+}
+
+// In-process implementation of the storage interface in lib/storage/mongo.js,
+// for demos and tests that have no database. One instance only: the lease
+// is always this process's. With `snapshotPath` the data can be written to
+// and restored from a JSON file; otherwise it is gone when the process exits.
+//
+// Transactions run one at a time. Writes made inside one are journalled and
+// undone if it throws, so a rejected bet slip leaves nothing behind.
+function createMemoryStorage({ clock = systemClock, snapshotPath = null } = {}) {
+    const data = {
+        rounds: [],
+        bets: [],
+        users: [],
+        sessions: new Map(),
+        idempotencyKeys: new Map(),
+        wallets: new Map(),
+        ledger: [],
+        playLimits: new Map(),
+        seedChains: [],
+        roundGaps: [],
+        audit: [],
+        leases: new Map(),
+        rateLimits: new Map(),
+        config: null
+    };
+    const watchers = [];
+    let txQueue = Promise.resolve();
+
+    function transaction(fn) {
+        const run = txQueue.then(async () => {
+            const tx = { undo: [] };
+            try {
+                return await fn(tx);
+            } catch (err) {
+                tx.undo.reverse().forEach(undo => undo());
+                throw err;
+            }
+        });
+        txQueue = run.catch(() => {});
+        return run;
+    }
+
+    function journal(tx, undo) {
+        if (tx) tx.undo.push(undo);
+    }
+
+    function remove(list, doc) {
+        const index = list.indexOf(doc);
+        if (index !== -1) list.splice(index, 1);
+    }
+
+    function notify(type, round) {
+        watchers.forEach(onChange => onChange(type, copy(round)));
+    }
+
+    function findRound(id) {
+        return data.rounds.find(round => sameId(round._id, id));
+    }
+
+    function findBet(id) {
+        return data.bets.find(bet => sameId(bet._id, id));
+    }
+
+    function matchesHistory(round, mode, { from, to, before, number, colors, size }) {
+        return round.mode === mode && round.status === 'settled' &&
+            (!from || round.startTime >= from) &&
+            (!to || round.startTime < to) &&
+            (!before || round.startTime < before) &&
+            (number === undefined || round.result.number === number) &&
+            (!colors || colors.includes(round.result.color)) &&
+            (!size || round.result.size === size);
+    }
+
+    const rounds = {
+        async latest(mode) {
+            return copy(data.rounds.reduce((latest, round) => (
+                round.mode === mode && (!latest || round.startTime > latest.startTime) ? round : latest
+            ), null));
+        },
+
+        async findByPeriod(mode, period) {
+            return copy(data.rounds.find(round => round.mode === mode && round.period === period));
+        },
+
+        async recentSettled(mode, limit) {
+            return data.rounds
+                .filter(round => round.mode === mode && round.status === 'settled')
+                .sort(newestFirst)
+                .slice(0, limit)
+                .map(round => pick(round, 'result period commitHash seed'));
+        },
+
+        async history(mode, filters, limit) {
+            return data.rounds
+                .filter(round => matchesHistory(round, mode, filters))
+                .sort(newestFirst)
+                .slice(0, limit)
+                .map(round => pick(round, 'period result commitHash seed startTime endTime'));
+        },
+
+        stream(mode, filters) {
+            const list = data.rounds
+                .filter(round => matchesHistory(round, mode, filters))
+                .sort((a, b) => a.startTime - b.startTime)
+                .map(round => pick(round, 'period result commitHash seed startTime endTime'));
+            let closed = false;
+            return {
+                async close() {
+                    closed = true;
+                },
+                async *[Symbol.asyncIterator]() {
+                    for (const round of list) {
+                        if (closed) return;
+                        yield round;
+                    }
+                }
+            };
+        },
+
+        async list(mode, { before, limit }) {
+            return data.rounds
+                .filter(round => round.mode === mode && (!before || round.startTime < before))
+                .sort(newestFirst)
+                .slice(0, limit)
+                .map(round => {
+                    const placed = data.bets.filter(bet => sameId(bet.roundId, round._id) && bet.result !== 'cancelled');
+                    return {
+                        ...pick(round, 'period status startTime endTime result voidReason'),
+                        betCount: placed.length,
+                        totalStaked: placed.reduce((sum, bet) => sum + bet.totalAmount, 0)
+                    };
+                });
+        },
+
+        async chainRounds(mode, day) {
+            return data.rounds
+                .filter(round => round.mode === mode && round.status === 'settled' &&
+                    round.chainIndex !== undefined && round.period.startsWith(day))
+                .sort((a, b) => a.chainIndex - b.chainIndex)
+                .map(round => pick(round, 'period chainIndex seed'));
+        },
+
+        async create(fields) {
+            if (data.rounds.some(round => round.mode === fields.mode && round.period === fields.period)) return null;
+            const round = { _id: new Types.ObjectId(), status: 'open', ...fields };
+            data.rounds.push(round);
+            notify('open', round);
+            return copy(round);
+        },
+
+        async lock(id) {
+            const round = findRound(id);
+            if (!round || round.status !== 'open') return false;
+            round.status = 'locked';
+            notify('locked', round);
+            return true;
+        },
+
+        async claimResult(id, result) {
+            const round = findRound(id);
+            if (!round || !['open', 'locked'].includes(round.status)) return null;
+            round.result = { ...result };
+            return copy(round);
+        },
+
+        async markSettled(id) {
+            const round = findRound(id);
+            round.status = 'settled';
+            notify('settled', round);
+        },
+
+        async markVoid(id, { voidReason, voidedAt, voidedBy }) {
+            const round = findRound(id);
+            if (!round || !['open', 'locked'].includes(round.status) || round.result?.number !== undefined) return null;
+            Object.assign(round, { status: 'void', voidReason, voidedAt, voidedBy });
+            return copy(round);
+        },
+
+        async markRefunded(id, at, tx = null) {
+            const round = findRound(id);
+            round.refundedAt = at;
+            journal(tx, () => { delete round.refundedAt; });
+        },
+
+        async findStale(mode, now) {
+            return data.rounds
+                .filter(round => round.mode === mode && ['open', 'locked'].includes(round.status) && round.endTime <= now)
+                .sort((a, b) => a.startTime - b.startTime)
+                .map(copy);
+        },
+
+        async findUnrefundedVoids() {
+            return data.rounds.filter(round => round.status === 'void' && !round.refundedAt).map(copy);
+        },
+
+        watch(onChange) {
+            watchers.push(onChange);
+        }
+    };
+
+    const bets = {
+        async create(docs, tx = null) {
+            const created = docs.map(doc => ({
+                _id: new Types.ObjectId(),
+                multiplier: 1,
+                result: 'pending',
+                payout: 0,
+                createdAt: clock.now(),
+                ...doc
+            }));
+            data.bets.push(...created);
+            journal(tx, () => created.forEach(bet => remove(data.bets, bet)));
+            return created.map(copy);
+        },
+
+        async findForUser(id, userId) {
+            return copy(data.bets.find(bet => sameId(bet._id, id) && sameId(bet.userId, userId)));
+        },
+
+        async forUser(userId, { mode, limit }) {
+            return data.bets
+                .filter(bet => sameId(bet.userId, userId) && (!mode || bet.mode === mode))
+                .sort((a, b) => b.createdAt - a.createdAt)
+                .slice(0, limit)
+                .map(copy);
+        },
+
+        async search({ userId, mode, period, before, limit }) {
+            return data.bets
+                .filter(bet => (!userId || sameId(bet.userId, userId)) &&
+                    (!mode || bet.mode === mode) &&
+                    (!period || bet.period === period) &&
+                    (!before || String(bet._id) < String(before)))
+                .sort((a, b) => (String(a._id) < String(b._id) ? 1 : -1))
+                .slice(0, limit)
+                .map(bet => ({ ...copy(bet), username: data.users.find(user => sameId(user._id, bet.userId))?.username }));
+        },
+
+        async forRound(roundId) {
+            return data.bets.filter(bet => sameId(bet.roundId, roundId)).map(copy);
+        },
+
+        async pendingForRound(roundId) {
+            return data.bets
+                .filter(bet => sameId(bet.roundId, roundId) && bet.result === 'pending')
+                .map(bet => pick(bet, 'userId betType betValue totalAmount winMultiplier'));
+        },
+
+        async exposure(roundId) {
+            const groups = new Map();
+            data.bets
+                .filter(bet => sameId(bet.roundId, roundId) && bet.result === 'pending')
+                .forEach(({ betType, betValue, winMultiplier, totalAmount }) => {
+                    const key = `${betType}:${betValue}:${winMultiplier}`;
+                    const group = groups.get(key) || { betType, betValue, winMultiplier, totalAmount: 0 };
+                    group.totalAmount += totalAmount;
+                    groups.set(key, group);
+                });
+            return [...groups.values()];
+        },
+
+        async countByResult(roundId, result) {
+            return data.bets.filter(bet => sameId(bet.roundId, roundId) && bet.result === result).length;
+        },
+
+        async playTotals(userId, starts) {
+            const out = {};
+            LIMIT_PERIODS.forEach(period => { out[period] = { staked: 0, paid: 0 }; });
+            data.bets
+                .filter(bet => sameId(bet.userId, userId) && !['cancelled', 'refunded'].includes(bet.result))
+                .forEach(bet => {
+                    LIMIT_PERIODS.forEach(period => {
+                        if (bet.createdAt < starts[period]) return;
+                        out[period].staked += bet.totalAmount;
+                        out[period].paid += bet.payout;
+                    });
+                });
+            return out;
+        },
+
+        async settle(updates, tx = null) {
+            updates.forEach(({ id, result, payout, settledAt }) => {
+                const bet = findBet(id);
+                if (!bet || bet.result !== 'pending') return;
+                const previousPayout = bet.payout;
+                Object.assign(bet, { result, payout, settledAt });
+                journal(tx, () => {
+                    Object.assign(bet, { result: 'pending', payout: previousPayout });
+                    delete bet.settledAt;
+                });
+            });
+        },
+
+        async markRefunded(id, at, tx = null) {
+            const bet = findBet(id);
+            if (!bet || bet.result !== 'pending') return;
+            Object.assign(bet, { result: 'refunded', settledAt: at });
+            journal(tx, () => {
+                bet.result = 'pending';
+                delete bet.settledAt;
+            });
+        },
+
+        async cancel(id, userId, at, tx = null) {
+            const bet = findBet(id);
+            if (!bet || !sameId(bet.userId, userId) || bet.result !== 'pending') return null;
+            Object.assign(bet, { result: 'cancelled', cancelledAt: at });
+            journal(tx, () => {
+                bet.result = 'pending';
+                delete bet.cancelledAt;
+            });
+            return copy(bet);
+        }
+    };
+
+    const users = {
+        async findById(id) {
+            return copy(data.users.find(user => sameId(user._id, id)));
+        },
+
+        async findByUsername(username) {
+            return copy(data.users.find(user => user.username === username.toLowerCase()));
+        },
+
+        async create({ username, passwordHash, role = 'player' }) {
+            const name = username.trim().toLowerCase();
+            if (data.users.some(user => user.username === name)) return null;
+            const user = { _id: new Types.ObjectId(), username: name, passwordHash, role, createdAt: clock.now() };
+            data.users.push(user);
+            return copy(user);
+        },
+
+        async setRole(id, role) {
+            const user = data.users.find(u => sameId(u._id, id));
+            if (user) user.role = role;
+        }
+    };
+
+    const sessions = {
+        async create({ userId, tokenHash, expiresAt }) {
+            data.sessions.set(tokenHash, { _id: new Types.ObjectId(), userId, tokenHash, expiresAt });
+        },
+
+        async findActive(tokenHash, now) {
+            const session = data.sessions.get(tokenHash);
+            return session && session.expiresAt > now ? copy(session) : null;
+        },
+
+        async delete(tokenHash) {
+            data.sessions.delete(tokenHash);
+        }
+    };
+
+    // Expired keys are swept when a new one is stored
+    let nextKeyPrune = 0;
+    const idempotencyKeys = {
+        async find(userId, key, now) {
+            const record = data.idempotencyKeys.get(`${userId}:${key}`);
+            return record && record.expiresAt > now ? { ...record } : null;
+        },
+
+        async create({ userId, key, requestHash, response, expiresAt }, now, tx = null) {
+            if (now.getTime() >= nextKeyPrune) {
+                data.idempotencyKeys.forEach((record, id) => {
+                    if (record.expiresAt <= now) data.idempotencyKeys.delete(id);
+                });
+                nextKeyPrune = now.getTime() + PRUNE_INTERVAL_MS;
+            }
+            const id = `${userId}:${key}`;
+            const expired = data.idempotencyKeys.get(id);
+            data.idempotencyKeys.set(id, { _id: new Types.ObjectId(), userId, key, requestHash, response, expiresAt });
+            journal(tx, () => {
+                if (expired) data.idempotencyKeys.set(id, expired);
+                else data.idempotencyKeys.delete(id);
+            });
+        }
+    };
+
+    const wallets = {
+        async balance(userId) {
+            return data.wallets.get(String(userId)) || 0;
+        }
+    };
+
+    const ledger = {
+        // Same contract as postLedgerEntry: conditional debits, keyed entries
+        // applied once
+        async post({ userId, type, amount, key, betId, note, actorId }, tx = null) {
+            amount = roundCredit(amount);
+            if (key) {
+                const existing = data.ledger.find(entry => entry.key === key);
+                if (existing) return copy(existing);
+            }
+            const wallet = String(userId);
+            const balance = data.wallets.get(wallet) || 0;
+            if (amount < 0 && balance < -amount) return null;
+
+            const balanceAfter = roundCredit(balance + amount);
+            data.wallets.set(wallet, balanceAfter);
+            const entry = {
+                _id: new Types.ObjectId(),
+                userId, type, amount, key, betId, note, actorId,
+                balanceAfter,
+                createdAt: clock.now()
+            };
+            data.ledger.push(entry);
+            journal(tx, () => {
+                remove(data.ledger, entry);
+                data.wallets.set(wallet, roundCredit(data.wallets.get(wallet) - amount));
+            });
+            return copy(entry);
+        },
+
+        async list(userId, { before, limit }) {
+            return data.ledger
+                .filter(entry => sameId(entry.userId, userId) && (!before || String(entry._id) < String(before)))
+                .reverse()
+                .slice(0, limit)
+                .map(entry => pick(entry, 'type amount balanceAfter betId note actorId createdAt'));
+        },
+
+        async hasType(userId, type) {
+            return data.ledger.some(entry => sameId(entry.userId, userId) && entry.type === type);
+        }
+    };
+
+    const playLimits = {
+        async find(userId) {
+            return copyLimits(data.playLimits.get(String(userId)));
+        },
+
+        async save(userId, fields) {
+            const current = data.playLimits.get(String(userId)) || { _id: new Types.ObjectId(), userId, pending: [] };
+            data.playLimits.set(String(userId), copyLimits({ ...current, ...fields }));
+        }
+    };
+
+    const seedChains = {
+        async find(mode, day) {
+            return copy(data.seedChains.find(chain => chain.mode === mode && chain.day === day));
+        },
+
+        async list(mode, limit) {
+            return data.seedChains
+                .filter(chain => chain.mode === mode)
+                .sort((a, b) => (a.day < b.day ? 1 : -1))
+                .slice(0, limit)
+                .map(chain => pick(chain, 'mode day length anchor createdAt'));
+        },
+
+        async create(fields) {
+            const existing = data.seedChains.find(chain => chain.mode === fields.mode && chain.day === fields.day);
+            if (existing) return copy(existing);
+            const chain = { _id: new Types.ObjectId(), createdAt: clock.now(), ...fields };
+            data.seedChains.push(chain);
+            return copy(chain);
+        }
+    };
+
+    const roundGaps = {
+        async create(gap) {
+            data.roundGaps.push({ _id: new Types.ObjectId(), detectedAt: clock.now(), ...gap });
+        }
+    };
+
+    const leases = {
+        async acquire(name, holder, ttlMs) {
+            const now = clock.now();
+            const lease = data.leases.get(name);
+            if (lease && lease.holder !== holder && lease.expiresAt > now) return false;
+            data.leases.set(name, { holder, expiresAt: new Date(now.getTime() + ttlMs) });
+            return true;
+        }
+    };
+
+    // Windows are swept once they have ended. They are not part of the
+    // snapshot.
+    let nextRatePrune = 0;
+    const rateLimits = {
+        async hit(key, windowMs, now) {
+            if (now.getTime() >= nextRatePrune) {
+                data.rateLimits.forEach((bucket, id) => {
+                    if (bucket.resetAt <= now) data.rateLimits.delete(id);
+                });
+                nextRatePrune = now.getTime() + PRUNE_INTERVAL_MS;
+            }
+            const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+            const id = `${key}:${windowStart}`;
+            let bucket = data.rateLimits.get(id);
+            if (!bucket) {
+                bucket = { count: 0, resetAt: new Date(windowStart + windowMs) };
+                data.rateLimits.set(id, bucket);
+            }
+            bucket.count += 1;
+            return { count: bucket.count, resetAt: bucket.resetAt };
+        }
+    };
+
+    // Kept in seq order. The set of keys is rebuilt when a snapshot loads.
+    let auditKeys = new Set();
+    const audit = {
+        async append(key, entryFor, tx = null) {
+            if (auditKeys.has(key)) return null;
+            const last = data.audit[data.audit.length - 1];
+            const entry = { _id: new Types.ObjectId(), ...entryFor(last ? { seq: last.seq, hash: last.hash } : null) };
+            data.audit.push(entry);
+            auditKeys.add(key);
+            journal(tx, () => {
+                remove(data.audit, entry);
+                auditKeys.delete(key);
+            });
+            return { ...entry };
+        },
+
+        async head() {
+            const last = data.audit[data.audit.length - 1];
+            return last ? pick(last, 'seq hash at') : null;
+        },
+
+        async list({ afterSeq = 0, limit }) {
+            return data.audit.filter(entry => entry.seq > afterSeq).slice(0, limit).map(entry => ({ ...entry }));
+        }
+    };
+
+    const config = {
+        async load(defaults) {
+            if (!data.config) data.config = JSON.parse(JSON.stringify(defaults));
+            return JSON.parse(JSON.stringify(data.config));
+        },
+
+        async save(next, updatedBy, at) {
+            data.config = { ...JSON.parse(JSON.stringify(next)), updatedAt: at, updatedBy };
+        }
+    };
+
+    // Replaces the data with the snapshot file's, if there is one
+    async function loadSnapshot() {
+        if (!snapshotPath) return false;
+        let text;
+        try {
+            text = await fs.promises.readFile(snapshotPath, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return false;
+            throw err;
+        }
+        const snapshot = JSON.parse(text, snapshotReviver);
+        COLLECTIONS.forEach(name => { data[name] = snapshot[name] || []; });
+        MAPS.forEach(name => { data[name] = new Map(snapshot[name] || []); });
+        data.config = snapshot.config || null;
+        auditKeys = new Set(data.audit.map(entry => entry.key));
+        return true;
+    }
+
+    // Written to a temporary file first, so a crash mid-write can't leave a
+    // truncated snapshot behind
+    async function saveSnapshot() {
+        if (!snapshotPath) return;
+        const snapshot = { savedAt: clock.now(), config: data.config };
+        COLLECTIONS.forEach(name => { snapshot[name] = data[name]; });
+        MAPS.forEach(name => { snapshot[name] = [...data[name]]; });
+
+        const tmpPath = `${snapshotPath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot, snapshotReplacer));
+        await fs.promises.rename(tmpPath, snapshotPath);
+    }
+
+    return {
+        kind: 'memory',
+        connected: () => true,
+        data,
+        transaction,
+        loadSnapshot,
+        saveSnapshot,
+        rounds,
+        bets,
+        users,
+        sessions,
+        idempotencyKeys,
+        wallets,
+        ledger,
+        playLimits,
+        seedChains,
+        roundGaps,
+        leases,
+        rateLimits,
+        audit,
+        config
+    };
+}
+
+module.exports = { createMemoryStorage };
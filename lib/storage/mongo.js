@@ -0,0 +1,559 @@
+const mongoose = require('mongoose');
+const {
+    Round, User, Session, IdempotencyKey, Bet, SeedChain, RoundGap, GameConfig, Lease, RateLimit, AuditEntry, AuditHead, LedgerEntry, PlayLimits,
+    LIMIT_PERIODS
+} = require('../models');
+const { logger } = require('../logger');
+const { getWallet, postLedgerEntry } = require('../wallet');
+
+const CONFIG_ID = 'game';
+const AUDIT_HEAD_ID = 'audit';
+
+// Filters shared by the round history list and export; see
+// buildHistoryFilters in routes/game.js
+function historyQuery(mode, { from, to, before, number, colors, size }) {
+    const query = { mode, status: 'settled' };
+    const upper = to && before ? (to < before ? to : before) : to || before;
+    if (from || upper) {
+        query.startTime = {};
+        if (from) query.startTime.$gte = from;
+        if (upper) query.startTime.$lt = upper;
+    }
+    if (number !== undefined) query['result.number'] = number;
+    if (colors) query['result.color'] = { $in: colors };
+    if (size) query['result.size'] = size;
+    return query;
+}
+
+// Storage backed by the Mongoose models; what the app runs on in
+// production. Documents come back as plain objects. Methods that take a
+// trailing `tx` accept the handle passed in by transaction(), which here is
+// a Mongo session. lib/storage/memory.js implements the same interface.
+function createMongoStorage() {
+    async function transaction(fn) {
+        const session = await mongoose.startSession();
+        try {
+            let result;
+            await session.withTransaction(async () => {
+                result = await fn(session);
+            });
+            return result;
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    const rounds = {
+        latest(mode, tx = null) {
+            return Round.findOne({ mode }).sort({ startTime: -1 }).session(tx).lean();
+        },
+
+        findByPeriod(mode, period, tx = null) {
+            return Round.findOne({ mode, period }).session(tx).lean();
+        },
+
+        recentSettled(mode, limit) {
+            return Round.find({ mode, status: 'settled' })
+                .sort({ startTime: -1 })
+                .limit(limit)
+                .select('result period commitHash seed')
+                .lean();
+        },
+
+        // Newest first
+        history(mode, filters, limit) {
+            return Round.find(historyQuery(mode, filters))
+                .sort({ startTime: -1 })
+                .limit(limit)
+                .select('period result commitHash seed startTime endTime')
+                .lean();
+        },
+
+        // Oldest first, without loading the range into memory. The cursor is
+        // async iterable; close() stops it early.
+        stream(mode, filters) {
+            return Round.find(historyQuery(mode, filters))
+                .sort({ startTime: 1 })
+                .select('period result commitHash seed startTime endTime')
+                .lean()
+                .cursor();
+        },
+
+        // Every status, newest first, for the admin console. Bet counts and
+        // stakes are totalled from the bets here rather than kept on the
+        // round, which every bet would then have to write.
+        async list(mode, { before, limit }) {
+            const query = { mode };
+            if (before) query.startTime = { $lt: before };
+            const page = await Round.find(query)
+                .sort({ startTime: -1 })
+                .limit(limit)
+                .select('period status startTime endTime result voidReason')
+                .lean();
+
+            const totals = await Bet.aggregate([
+                { $match: { roundId: { $in: page.map(round => round._id) }, result: { $ne: 'cancelled' } } },
+                { $group: { _id: '$roundId', betCount: { $sum: 1 }, totalStaked: { $sum: '$totalAmount' } } }
+            ]);
+            const byRound = new Map(totals.map(total => [String(total._id), total]));
+            return page.map(round => {
+                const total = byRound.get(String(round._id));
+                return { ...round, betCount: total ? total.betCount : 0, totalStaked: total ? total.totalStaked : 0 };
+            });
+        },
+
+        // Settled rounds of a day that drew their seed from its chain
+        chainRounds(mode, day) {
+            return Round.find({ mode, status: 'settled', chainIndex: { $exists: true }, period: { $regex: `^${day}` } })
+                .sort({ chainIndex: 1 })
+                .select('period chainIndex seed')
+                .lean();
+        },
+
+        // Returns null when another instance already created the period
+        async create(fields) {
+            try {
+                const round = await Round.create(fields);
+                return round.toObject();
+            } catch (err) {
+                if (err.code === 11000) return null;
+                throw err;
+            }
+        },
+
+        // Conditional, so a round voided meanwhile stays void
+        // Returns whether this call locked it
+        async lock(id) {
+            const { modifiedCount } = await Round.updateOne({ _id: id, status: 'open' }, { $set: { status: 'locked' } });
+            return modifiedCount > 0;
+        },
+
+        claimResult(id, result) {
+            return Round.findOneAndUpdate(
+                { _id: id, status: { $in: ['open', 'locked'] } },
+                { $set: { result } },
+                { new: true }
+            ).lean();
+        },
+
+        async markSettled(id) {
+            await Round.updateOne({ _id: id }, { $set: { status: 'settled' } });
+        },
+
+        // Only rounds that are still running and have no result can be voided
+        markVoid(id, { voidReason, voidedAt, voidedBy }) {
+            return Round.findOneAndUpdate(
+                { _id: id, status: { $in: ['open', 'locked'] }, 'result.number': { $exists: false } },
+                { $set: { status: 'void', voidReason, voidedAt, voidedBy } },
+                { new: true }
+            ).lean();
+        },
+
+        async markRefunded(id, at, tx = null) {
+            await Round.updateOne({ _id: id }, { $set: { refundedAt: at } }, { session: tx });
+        },
+
+        // Rounds still open or locked at `now` although their time is up
+        findStale(mode, now) {
+            return Round.find({ mode, status: { $in: ['open', 'locked'] }, endTime: { $lte: now } })
+                .sort({ startTime: 1 })
+                .lean();
+        },
+
+        findUnrefundedVoids() {
+            return Round.find({ status: 'void', refundedAt: { $exists: false } }).lean();
+        },
+
+        // Calls onChange(type, round) when a round opens, locks or settles,
+        // whichever instance wrote it. Change streams need a replica set,
+        // which transactions already require. Only updates that set the
+        // status get through, so other writes cost no lookup of the round.
+        watch(onChange) {
+            const stream = Round.watch(
+                [{
+                    $match: {
+                        $or: [
+                            { operationType: 'insert' },
+                            { operationType: 'update', 'updateDescription.updatedFields.status': { $exists: true } }
+                        ]
+                    }
+                }],
+                { fullDocument: 'updateLookup' }
+            );
+            stream.on('change', change => {
+                const round = change.fullDocument;
+                if (!round) return;
+                if (change.operationType === 'insert') {
+                    onChange('open', round);
+                    return;
+                }
+                const status = change.updateDescription.updatedFields.status;
+                if (status === 'locked' || status === 'settled') onChange(status, round);
+            });
+            stream.on('error', err => {
+                logger.error('Round change stream error', { err });
+                stream.close().catch(() => {});
+                setTimeout(() => rounds.watch(onChange), 5000);
+            });
+        }
+    };
+
+    const bets = {
+        async create(docs, tx = null) {
+            const created = await Bet.create(docs, { session: tx, ordered: true });
+            return created.map(bet => bet.toObject());
+        },
+
+        findForUser(id, userId) {
+            return Bet.findOne({ _id: id, userId }).lean();
+        },
+
+        // Newest first
+        forUser(userId, { mode, limit }) {
+            const query = { userId };
+            if (mode) query.mode = mode;
+            return Bet.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+        },
+
+        // Newest first, each with the player's username, for the admin console
+        async search({ userId, mode, period, before, limit }) {
+            const query = {};
+            if (userId) query.userId = userId;
+            if (mode) query.mode = mode;
+            if (period) query.period = period;
+            if (before) query._id = { $lt: before };
+
+            const found = await Bet.find(query)
+                .sort({ _id: -1 })
+                .limit(limit)
+                .populate('userId', 'username')
+                .lean();
+            return found.map(({ userId, ...bet }) => ({ ...bet, userId: userId?._id, username: userId?.username }));
+        },
+
+        // Every bet on the round, cancelled ones too, oldest first
+        forRound(roundId, tx = null) {
+            return Bet.find({ roundId }).sort({ _id: 1 }).session(tx).lean();
+        },
+
+        pendingForRound(roundId, tx = null) {
+            return Bet.find({ roundId, result: 'pending' })
+                .select('userId betType betValue totalAmount winMultiplier')
+                .session(tx)
+                .lean();
+        },
+
+        // Pending stakes on a round, totalled per bet type, value and the
+        // win multiplier they were placed at
+        async exposure(roundId) {
+            const groups = await Bet.aggregate([
+                { $match: { roundId, result: 'pending' } },
+                {
+                    $group: {
+                        _id: { betType: '$betType', betValue: '$betValue', winMultiplier: '$winMultiplier' },
+                        totalAmount: { $sum: '$totalAmount' }
+                    }
+                }
+            ]);
+            return groups.map(group => ({ ...group._id, totalAmount: group.totalAmount }));
+        },
+
+        countByResult(roundId, result) {
+            return Bet.countDocuments({ roundId, result });
+        },
+
+        // Stake and payout per window for bets placed since starts[period].
+        // Cancelled and refunded bets don't count.
+        async playTotals(userId, starts, tx = null) {
+            const group = { _id: null };
+            LIMIT_PERIODS.forEach(period => {
+                const inWindow = { $gte: ['$createdAt', starts[period]] };
+                group[`stake_${period}`] = { $sum: { $cond: [inWindow, '$totalAmount', 0] } };
+                group[`paid_${period}`] = { $sum: { $cond: [inWindow, '$payout', 0] } };
+            });
+            const [totals = {}] = await Bet.aggregate([
+                { $match: { userId, createdAt: { $gte: starts.monthly }, result: { $nin: ['cancelled', 'refunded'] } } },
+                { $group: group }
+            ]).session(tx);
+
+            const out = {};
+            LIMIT_PERIODS.forEach(period => {
+                out[period] = { staked: totals[`stake_${period}`] || 0, paid: totals[`paid_${period}`] || 0 };
+            });
+            return out;
+        },
+
+        // updates: [{ id, result, payout, settledAt }]. Guarded on 'pending'
+        // so a retried settlement never pays twice.
+        async settle(updates, tx = null) {
+            if (updates.length === 0) return;
+            await Bet.bulkWrite(updates.map(({ id, result, payout, settledAt }) => ({
+                updateOne: {
+                    filter: { _id: id, result: 'pending' },
+                    update: { $set: { result, payout, settledAt } }
+                }
+            })), { ordered: false, session: tx });
+        },
+
+        async markRefunded(id, at, tx = null) {
+            await Bet.updateOne(
+                { _id: id, result: 'pending' },
+                { $set: { result: 'refunded', settledAt: at } },
+                { session: tx }
+            );
+        },
+
+        // Returns the cancelled bet, or null when it isn't the player's or
+        // has already settled
+        cancel(id, userId, at, tx = null) {
+            return Bet.findOneAndUpdate(
+                { _id: id, userId, result: 'pending' },
+                { $set: { result: 'cancelled', cancelledAt: at } },
+                { new: true, session: tx }
+            ).lean();
+        }
+    };
+
+    const users = {
+        findById(id) {
+            return User.findById(id).lean();
+        },
+
+        findByUsername(username) {
+            return User.findOne({ username: username.toLowerCase() }).lean();
+        },
+
+        // Returns null when the username is taken
+        async create({ username, passwordHash, role }) {
+            try {
+                const user = await User.create({ username, passwordHash, role });
+                return user.toObject();
+            } catch (err) {
+                if (err.code === 11000) return null;
+                throw err;
+            }
+        },
+
+        async setRole(id, role) {
+            await User.updateOne({ _id: id }, { $set: { role } });
+        }
+    };
+
+    const sessions = {
+        async create({ userId, tokenHash, expiresAt }) {
+            await Session.create({ userId, tokenHash, expiresAt });
+        },
+
+        findActive(tokenHash, now) {
+            return Session.findOne({ tokenHash, expiresAt: { $gt: now } }).lean();
+        },
+
+        async delete(tokenHash) {
+            await Session.deleteOne({ tokenHash });
+        }
+    };
+
+    const idempotencyKeys = {
+        // The TTL monitor runs about once a minute, so expiry is checked here too
+        find(userId, key, now, tx = null) {
+            return IdempotencyKey.findOne({ userId, key, expiresAt: { $gt: now } }).session(tx).lean();
+        },
+
+        // Takes the place of an expired record the TTL monitor hasn't removed
+        // yet. Against a live one the upsert fails on the unique index.
+        async create({ userId, key, requestHash, response, expiresAt }, now, tx = null) {
+            await IdempotencyKey.findOneAndUpdate(
+                { userId, key, expiresAt: { $lte: now } },
+                { $set: { requestHash, response, expiresAt } },
+                { upsert: true, session: tx }
+            );
+        }
+    };
+
+    const wallets = {
+        async balance(userId) {
+            const wallet = await getWallet(userId);
+            return wallet.balance;
+        }
+    };
+
+    const ledger = {
+        // In a transaction of its own when not given one
+        post(entry, tx = null) {
+            return tx ? postLedgerEntry(entry, tx) : transaction(session => postLedgerEntry(entry, session));
+        },
+
+        // Newest first
+        list(userId, { before, limit }) {
+            const query = { userId };
+            if (before) query._id = { $lt: before };
+            return LedgerEntry.find(query)
+                .sort({ _id: -1 })
+                .limit(limit)
+                .select('type amount balanceAfter betId note actorId createdAt')
+                .lean();
+        },
+
+        async hasType(userId, type) {
+            return Boolean(await LedgerEntry.exists({ userId, type }));
+        }
+    };
+
+    const playLimits = {
+        find(userId, tx = null) {
+            return PlayLimits.findOne({ userId }).session(tx).lean();
+        },
+
+        async save(userId, fields) {
+            await PlayLimits.updateOne({ userId }, { $set: fields }, { upsert: true, runValidators: true });
+        }
+    };
+
+    const seedChains = {
+        find(mode, day) {
+            return SeedChain.findOne({ mode, day }).lean();
+        },
+
+        // Newest first, without the secret roots
+        list(mode, limit) {
+            return SeedChain.find({ mode })
+                .sort({ day: -1 })
+                .limit(limit)
+                .select('mode day length anchor createdAt')
+                .lean();
+        },
+
+        // Returns the stored chain, which is another instance's if it got there first
+        async create({ mode, day, length, root, anchor }) {
+            try {
+                return await SeedChain.findOneAndUpdate(
+                    { mode, day },
+                    { $setOnInsert: { length, root, anchor } },
+                    { new: true, upsert: true }
+                ).lean();
+            } catch (err) {
+                if (err.code === 11000) return SeedChain.findOne({ mode, day }).lean();
+                throw err;
+            }
+        }
+    };
+
+    const roundGaps = {
+        async create(gap) {
+            await RoundGap.create(gap);
+        }
+    };
+
+    const leases = {
+        // Takes or renews the lease unless someone else holds a live one. Both
+        // the expiry check and the new expiry use the database's clock, so the
+        // instances' own clocks never decide who holds it.
+        async acquire(name, holder, ttlMs) {
+            try {
+                await Lease.findOneAndUpdate(
+                    { _id: name, $or: [{ holder }, { $expr: { $lte: ['$expiresAt', '$$NOW'] } }] },
+                    [{ $set: { holder: { $literal: holder }, expiresAt: { $add: ['$$NOW', ttlMs] } } }],
+                    { upsert: true }
+                );
+                return true;
+            } catch (err) {
+                // A duplicate key means the upsert lost to a live lease held elsewhere
+                if (err.code === 11000) return false;
+                throw err;
+            }
+        }
+    };
+
+    const rateLimits = {
+        // Counts a request against `key` in the fixed window containing `now`
+        async hit(key, windowMs, now) {
+            const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+            const resetAt = new Date(windowStart + windowMs);
+            const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } };
+            const options = { new: true, upsert: true };
+            const id = `${key}:${windowStart}`;
+            let doc;
+            try {
+                doc = await RateLimit.findOneAndUpdate({ _id: id }, update, options).lean();
+            } catch (err) {
+                // Two first hits raced on the upsert; the loser's retry updates
+                if (err.code !== 11000) throw err;
+                doc = await RateLimit.findOneAndUpdate({ _id: id }, update, options).lean();
+            }
+            return { count: doc.count, resetAt };
+        }
+    };
+
+    const audit = {
+        // Links the entry `entryFor(head)` builds onto the chain, inside `tx`.
+        // Every append writes the head document, so an append racing another
+        // hits a write conflict and the transaction retries on the new head.
+        // Returns null when `key` is already on the chain.
+        async append(key, entryFor, tx) {
+            if (await AuditEntry.exists({ key }).session(tx)) return null;
+            const head = await AuditHead.findById(AUDIT_HEAD_ID).session(tx).lean();
+            const entry = entryFor(head);
+            if (head) {
+                const { matchedCount } = await AuditHead.updateOne(
+                    { _id: AUDIT_HEAD_ID, seq: head.seq },
+                    { $set: { seq: entry.seq, hash: entry.hash } },
+                    { session: tx }
+                );
+                if (matchedCount === 0) throw new Error('Audit head moved during append');
+            } else {
+                await AuditHead.create([{ _id: AUDIT_HEAD_ID, seq: entry.seq, hash: entry.hash }], { session: tx });
+            }
+            await AuditEntry.create([entry], { session: tx });
+            return entry;
+        },
+
+        head() {
+            return AuditEntry.findOne().sort({ seq: -1 }).select('seq hash at').lean();
+        },
+
+        // Oldest first
+        list({ afterSeq = 0, limit }) {
+            return AuditEntry.find({ seq: { $gt: afterSeq } }).sort({ seq: 1 }).limit(limit).lean();
+        }
+    };
+
+    const config = {
+        load(defaults) {
+            return GameConfig.findOneAndUpdate(
+                { _id: CONFIG_ID },
+                { $setOnInsert: defaults },
+                { new: true, upsert: true }
+            ).lean();
+        },
+
+        async save(next, updatedBy, at) {
+            await GameConfig.updateOne(
+                { _id: CONFIG_ID },
+                { $set: { ...next, updatedAt: at, updatedBy } },
+                { upsert: true }
+            );
+        }
+    };
+
+    return {
+        kind: 'mongo',
+        connected: () => mongoose.connection.readyState === 1,
+        transaction,
+        rounds,
+        bets,
+        users,
+        sessions,
+        idempotencyKeys,
+        wallets,
+        ledger,
+        playLimits,
+        seedChains,
+        roundGaps,
+        leases,
+        rateLimits,
+        audit,
+        config
+    };
+}
+
+module.exports = { createMongoStorage };
@@ -0,0 +1,57 @@
+const { Wallet, LedgerEntry } = require('./models');
+const engine = require('../public/engine');
+
+const STARTING_CREDIT = parseFloat(process.env.STARTING_CREDIT || '1000');
+const FIRST_DEPOSIT_BONUS = 0.2;
+const MAX_DEPOSIT = 100000;
+const MIN_WITHDRAWAL = 100;
+
+const { roundCredit } = engine;
+
+async function getWallet(userId) {
+    return Wallet.findOneAndUpdate(
+        { userId },
+        { $setOnInsert: { balance: 0 } },
+        { new: true, upsert: true }
+    ).lean();
+}
+
+// Applies `amount` (negative for debits) to the wallet and appends the
+// matching ledger entry. Debits only apply when the balance covers them;
+// returns null otherwise. An entry whose `key` was already posted is not
+// applied again and the original entry is returned instead.
+// Always runs inside a transaction (`session`), so the balance change and
+// its entry are written together or not at all; storage.ledger.post opens
+// one when the caller has none. Two posts racing on one key both write the
+// wallet, so one hits a write conflict and, retried, finds the other's entry.
+async function postLedgerEntry({ userId, type, amount, key, betId, note, actorId }, session) {
+    amount = roundCredit(amount);
+    if (key) {
+        const existing = await LedgerEntry.findOne({ key }).session(session).lean();
+        if (existing) return existing;
+    }
+
+    const filter = { userId };
+    if (amount < 0) filter.balance = { $gte: -amount };
+    const wallet = await Wallet.findOneAndUpdate(
+        filter,
+        { $inc: { balance: amount } },
+        { new: true, upsert: amount >= 0, session }
+    ).lean();
+    if (!wallet) return null;
+
+    const [entry] = await LedgerEntry.create([{
+        userId, type, amount, key, betId, note, actorId,
+        balanceAfter: roundCredit(wallet.balance)
+    }], { session });
+    return entry;
+}
+
+module.exports = {
+    STARTING_CREDIT,
+    FIRST_DEPOSIT_BONUS,
+    MAX_DEPOSIT,
+    MIN_WITHDRAWAL,
+    getWallet,
+    postLedgerEntry
+};
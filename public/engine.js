@@ -0,0 +1,264 @@
+/**
+ * CHROMEX game engine: the pure rules shared by server.js and the page.
+ *
+ * Nothing here touches the clock, the network or storage, so both sides
+ * derive results and payouts the same way. Loaded with require() on the
+ * server and as a plain <script> in the browser (window.ChromexEngine).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ChromexEngine = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const BET_TYPES = ['color', 'number', 'size'];
+
+    const BET_VALUES = {
+        color: ['green', 'red', 'violet'],
+        number: ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'],
+        size: ['big', 'small']
+    };
+
+    // Multipliers applied to a winning bet's totalAmount. Violet results
+    // (0 and 5) pay the reduced rate on number bets. The live table is part
+    // of the persisted game config; this is what it starts from.
+    const DEFAULT_PAYOUTS = {
+        color: 2,
+        violet: 4.5,
+        number: 9,
+        violetNumber: 4.5,
+        size: 2
+    };
+
+    // 0 and 5 are the two violet numbers; each also counts as red or green
+    function colorOf(number) {
+        if (number === 0) return 'red_violet';
+        if (number === 5) return 'green_violet';
+        if ([1, 3, 7, 9].includes(number)) return 'green';
+        return 'red';
+    }
+
+    function sizeOf(number) {
+        return number >= 5 ? 'big' : 'small';
+    }
+
+    // Takes the hex sha256 of seed + period and reads the result off its
+    // first byte
+    function resultFromHash(hash) {
+        const byte = parseInt(hash.slice(0, 2), 16);
+        const number = byte % 10;
+        return { hash, byte, number, color: colorOf(number), size: sizeOf(number) };
+    }
+
+    // `sha256` maps a string to its hex digest. It may return a promise (as
+    // WebCrypto does), in which case so does deriveResult.
+    function deriveResult(seed, period, sha256) {
+        const hash = sha256(seed + period);
+        if (hash && typeof hash.then === 'function') return hash.then(resultFromHash);
+        return resultFromHash(hash);
+    }
+
+    function isWinningBet(betType, betValue, result) {
+        const value = String(betValue);
+        if (betType === 'color') {
+            if (value === 'violet') return result.color === 'red_violet' || result.color === 'green_violet';
+            return result.color === value || result.color === `${value}_violet`;
+        }
+        if (betType === 'number') return value === String(result.number);
+        if (betType === 'size') return value === result.size;
+        return false;
+    }
+
+    // What a bet pays if it wins. Violet numbers pay the reduced rate.
+    function winMultiplier(betType, betValue, payouts) {
+        const value = String(betValue);
+        if (betType === 'color') return value === 'violet' ? payouts.violet : payouts.color;
+        if (betType === 'number') return value === '0' || value === '5' ? payouts.violetNumber : payouts.number;
+        if (betType === 'size') return payouts.size;
+        return 0;
+    }
+
+    function payoutMultiplier(betType, betValue, result, payouts) {
+        return isWinningBet(betType, betValue, result) ? winMultiplier(betType, betValue, payouts) : 0;
+    }
+
+    function roundCredit(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // Total returned to the player for a bet, stake included; 0 on a loss.
+    // A bet that carries the winMultiplier it was placed at is paid at that
+    // rather than at `payouts`.
+    function computePayout(bet, result, payouts) {
+        if (!isWinningBet(bet.betType, bet.betValue, result)) return 0;
+        return roundCredit(bet.totalAmount * (bet.winMultiplier ?? winMultiplier(bet.betType, bet.betValue, payouts)));
+    }
+
+    // Returns an error message, or null when the bet is acceptable under
+    // `config` (minStake, maxStake, multipliers)
+    function validateBet(bet, config) {
+        const { betType, betValue, amount, multiplier } = bet;
+        if (!betType || betValue === undefined || betValue === null || betValue === '' || !amount || !multiplier) {
+            return 'Missing fields';
+        }
+        if (!Number.isInteger(amount) || amount < config.minStake) return `Minimum bet is ${config.minStake}`;
+        if (!config.multipliers.includes(multiplier)) return 'Invalid multiplier';
+        if (amount * multiplier > config.maxStake) return `Maximum bet is ${config.maxStake}`;
+        if (!BET_TYPES.includes(betType) || !BET_VALUES[betType].includes(String(betValue))) {
+            return 'Invalid bet value for bet type';
+        }
+        return null;
+    }
+
+    // Format: YYYYMMDD + round length in seconds + round of the day (4 digits),
+    // in the local time of whoever calls it.
+    // Example: 20240218300123 (30s mode, 123rd round)
+    function formatPeriod(seconds, time) {
+        const date = new Date(time);
+        const yyyy = date.getFullYear();
+        const mm = String(date.getMonth() + 1).padStart(2, '0');
+        const dd = String(date.getDate()).padStart(2, '0');
+
+        const startOfDay = new Date(date).setHours(0, 0, 0, 0);
+        const periodNum = Math.floor((date.getTime() - startOfDay) / 1000 / seconds) + 1;
+        return `${yyyy}${mm}${dd}${seconds}${String(periodNum).padStart(4, '0')}`;
+    }
+
+    // --- Statistics ---
+
+    const LANCZOS = [
+        0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+        771.32342877765313, -176.61502916214059, 12.507343278686905,
+        -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+
+    function lnGamma(z) {
+        if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - lnGamma(1 - z);
+        z -= 1;
+        let x = LANCZOS[0];
+        for (let i = 1; i < LANCZOS.length; i++) x += LANCZOS[i] / (z + i);
+        const t = z + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+    }
+
+    // Regularized upper incomplete gamma Q(a, x): a series below a + 1, a
+    // continued fraction above (Numerical Recipes 6.2)
+    function gammaQ(a, x) {
+        if (x <= 0) return 1;
+        const prefix = Math.exp(-x + a * Math.log(x) - lnGamma(a));
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+                term *= x / (a + n);
+                sum += term;
+            }
+            return 1 - sum * prefix;
+        }
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 500; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return prefix * h;
+    }
+
+    // Chance of a chi-square statistic at least this large by luck alone
+    function chiSquarePValue(statistic, degreesOfFreedom) {
+        return gammaQ(degreesOfFreedom / 2, statistic / 2);
+    }
+
+    // Longest and current (most recent) run of equal values. `values` is
+    // newest first.
+    function streaks(values) {
+        const current = { value: values[0] ?? null, length: 0 };
+        while (current.length < values.length && values[current.length] === current.value) current.length++;
+
+        let longest = { value: null, length: 0 };
+        let run = 0;
+        values.forEach((value, i) => {
+            run = i > 0 && values[i - 1] === value ? run + 1 : 1;
+            if (run > longest.length) longest = { value, length: run };
+        });
+        return { current, longest };
+    }
+
+    // Frequencies, streaks and a chi-square test of the numbers against a
+    // uniform distribution. `results` is newest first.
+    function resultStats(results) {
+        const numbers = Array(10).fill(0);
+        const colors = { green: 0, red: 0, violet: 0 };
+        const sizes = { big: 0, small: 0 };
+        results.forEach(({ number, color, size }) => {
+            numbers[number]++;
+            BET_VALUES.color.forEach(value => {
+                if (isWinningBet('color', value, { color })) colors[value]++;
+            });
+            sizes[size]++;
+        });
+
+        const expected = results.length / 10;
+        const statistic = expected > 0
+            ? numbers.reduce((sum, observed) => sum + (observed - expected) ** 2 / expected, 0)
+            : 0;
+
+        return {
+            rounds: results.length,
+            numbers,
+            colors,
+            sizes,
+            streaks: {
+                // Violet numbers count towards their red or green side here
+                color: streaks(results.map(r => r.color.split('_')[0])),
+                size: streaks(results.map(r => r.size))
+            },
+            chiSquare: {
+                statistic,
+                degreesOfFreedom: 9,
+                pValue: expected > 0 ? chiSquarePValue(statistic, 9) : null
+            }
+        };
+    }
+
+    function periodDay(period) {
+        return period.slice(0, 8);
+    }
+
+    function periodIndex(period) {
+        return parseInt(period.slice(-4), 10);
+    }
+
+    return {
+        BET_TYPES,
+        BET_VALUES,
+        DEFAULT_PAYOUTS,
+        colorOf,
+        sizeOf,
+        resultFromHash,
+        deriveResult,
+        isWinningBet,
+        winMultiplier,
+        payoutMultiplier,
+        roundCredit,
+        computePayout,
+        validateBet,
+        formatPeriod,
+        periodDay,
+        periodIndex,
+        chiSquarePValue,
+        streaks,
+        resultStats
+    };
+});
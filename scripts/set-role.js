@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Gives an existing account the admin role, or takes it back. Registering
+ * and logging in only ever make players, so this is the one way an account
+ * becomes an admin. It reads the same storage settings as the server
+ * (STORAGE, MONGODB_URI, DB_USER, DB_PASS, MEMORY_SNAPSHOT).
+ *
+ *   npm run set-role -- alice admin
+ *   npm run set-role -- alice player
+ *
+ * With STORAGE=memory it edits the MEMORY_SNAPSHOT file, so stop the server
+ * first: a running one writes its own copy of the data over the file.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { createMongoStorage } = require('../lib/storage/mongo');
+const { createMemoryStorage } = require('../lib/storage/memory');
+
+const ROLES = ['admin', 'player'];
+
+// Returns the updated user, or null when there is no such account
+async function setRole(storage, username, role) {
+    if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    const user = await storage.users.findByUsername(username);
+    if (!user) return null;
+    await storage.users.setRole(user._id, role);
+    return { ...user, role };
+}
+
+async function openStorage() {
+    const kind = process.env.STORAGE || 'mongo';
+    if (kind === 'memory') {
+        if (!process.env.MEMORY_SNAPSHOT) throw new Error('STORAGE=memory needs MEMORY_SNAPSHOT, or the change is lost on exit');
+        const storage = createMemoryStorage({ snapshotPath: process.env.MEMORY_SNAPSHOT });
+        await storage.loadSnapshot();
+        return { storage, close: () => storage.saveSnapshot() };
+    }
+    if (kind !== 'mongo') throw new Error(`Unknown STORAGE "${kind}"; use mongo or memory.`);
+
+    const options = { serverSelectionTimeoutMS: 5000 };
+    if (process.env.DB_USER && process.env.DB_PASS) {
+        options.user = process.env.DB_USER;
+        options.pass = process.env.DB_PASS;
+    }
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/chromex', options);
+    return { storage: createMongoStorage(), close: () => mongoose.disconnect() };
+}
+
+async function main() {
+    const [username, role] = process.argv.slice(2);
+    if (!username || !ROLES.includes(role)) {
+        console.error('Usage: node scripts/set-role.js <username> admin|player');
+        process.exit(1);
+    }
+
+    const { storage, close } = await openStorage();
+    try {
+        const user = await setRole(storage, username, role);
+        if (!user) {
+            console.error(`No account named ${username}`);
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`${user.username} is now ${role}`);
+    } finally {
+        await close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { setRole };
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * Offline RTP simulator. Plays seeded rounds through the same result
+ * derivation settleRound uses, applies a payout table and a bet mix, and
+ * reports return-to-player, variance and the house's worst drawdown per
+ * bet. Needs no database, so payout changes can be checked before they
+ * ship.
+ *
+ *   npm run simulate -- --rounds 1000000 --seed demo
+ *   npm run simulate -- --config config.json --mix color=2,number:7=1
+ *
+ *   --rounds N      rounds to play (default 1000000)
+ *   --seed S        master seed; the same seed replays the same rounds
+ *   --config FILE   JSON with a `payouts` table, e.g. saved from /api/game/config
+ *   --payouts K=V   payout overrides, e.g. number=9.5,size=1.95
+ *   --mix K=W       bets placed every round, as stake weights. K is a bet
+ *                   type (a random value each round) or type:value.
+ *                   Default color=1,number=1,size=1
+ *   --stake N       stake per unit of weight (default 10)
+ *   --json          print the report as JSON
+ */
+// Periods are part of the hashed input and are formatted in local time;
+// pinning the zone makes a seed replay the same rounds on any machine.
+process.env.TZ = 'UTC';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const engine = require('../public/engine');
+
+const MODE_SECONDS = 30;
+const START_TIME = Date.UTC(2024, 0, 1);
+const DEFAULT_MIX = { color: 1, number: 1, size: 1 };
+
+function sha256Hex(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Small seeded PRNG for picking bet values; kept apart from the round
+// hashes so the picks can't correlate with results
+function mulberry32(seed) {
+    return function () {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 'color' -> every color value; 'number:7' -> just 7
+function mixValues(key) {
+    const [betType, betValue] = key.split(':');
+    if (!engine.BET_TYPES.includes(betType)) throw new Error(`Unknown bet type in mix: ${key}`);
+    if (betValue === undefined) return { betType, values: engine.BET_VALUES[betType] };
+    if (!engine.BET_VALUES[betType].includes(betValue)) throw new Error(`Unknown bet value in mix: ${key}`);
+    return { betType, values: [betValue] };
+}
+
+// Exact RTP of a mix entry, averaged over its values and over all 256
+// first-byte values the result is read from
+function exactRtp(key, payouts) {
+    const { betType, values } = mixValues(key);
+    let total = 0;
+    for (let byte = 0; byte < 256; byte++) {
+        const result = engine.resultFromHash(byte.toString(16).padStart(2, '0'));
+        values.forEach(value => { total += engine.payoutMultiplier(betType, value, result, payouts); });
+    }
+    return total / (256 * values.length);
+}
+
+function newStats() {
+    // Welford's running mean and variance of the player's net return per
+    // unit staked, plus the house's running P&L for the drawdown
+    return { bets: 0, staked: 0, returned: 0, mean: 0, m2: 0, housePnl: 0, housePeak: 0, maxDrawdown: 0 };
+}
+
+function record(stats, staked, returned) {
+    stats.bets++;
+    stats.staked += staked;
+    stats.returned += returned;
+
+    const net = returned / staked - 1;
+    const delta = net - stats.mean;
+    stats.mean += delta / stats.bets;
+    stats.m2 += delta * (net - stats.mean);
+
+    stats.housePnl += staked - returned;
+    stats.housePeak = Math.max(stats.housePeak, stats.housePnl);
+    stats.maxDrawdown = Math.max(stats.maxDrawdown, stats.housePeak - stats.housePnl);
+}
+
+function summarize(stats, exact) {
+    const variance = stats.bets > 1 ? stats.m2 / (stats.bets - 1) : 0;
+    return {
+        bets: stats.bets,
+        staked: engine.roundCredit(stats.staked),
+        returned: engine.roundCredit(stats.returned),
+        rtp: stats.staked ? stats.returned / stats.staked : 0,
+        exactRtp: exact,
+        houseEdge: 1 - exact,
+        variance,
+        stdDev: Math.sqrt(variance),
+        maxDrawdown: engine.roundCredit(stats.maxDrawdown)
+    };
+}
+
+function simulate({
+    rounds = 1000000,
+    seed = crypto.randomBytes(16).toString('hex'),
+    payouts = engine.DEFAULT_PAYOUTS,
+    mix = DEFAULT_MIX,
+    stake = 10
+} = {}) {
+    const entries = Object.entries(mix).map(([key, weight]) => ({
+        key,
+        ...mixValues(key),
+        stake: stake * weight,
+        stats: newStats()
+    }));
+    const total = newStats();
+    const random = mulberry32(parseInt(sha256Hex(`picks:${seed}`).slice(0, 8), 16));
+
+    for (let i = 0; i < rounds; i++) {
+        const roundSeed = sha256Hex(`${seed}:${i}`);
+        const period = engine.formatPeriod(MODE_SECONDS, START_TIME + i * MODE_SECONDS * 1000);
+        const result = engine.deriveResult(roundSeed, period, sha256Hex);
+
+        let roundStaked = 0;
+        let roundReturned = 0;
+        entries.forEach(entry => {
+            const betValue = entry.values[Math.floor(random() * entry.values.length)];
+            const returned = engine.computePayout(
+                { betType: entry.betType, betValue, totalAmount: entry.stake },
+                result,
+                payouts
+            );
+            record(entry.stats, entry.stake, returned);
+            roundStaked += entry.stake;
+            roundReturned += returned;
+        });
+        record(total, roundStaked, roundReturned);
+    }
+
+    const totalStake = entries.reduce((sum, entry) => sum + entry.stake, 0);
+    const totalExact = entries.reduce((sum, entry) => sum + exactRtp(entry.key, payouts) * entry.stake, 0) / totalStake;
+    return {
+        rounds,
+        seed,
+        payouts,
+        mix,
+        stake,
+        bets: Object.fromEntries(entries.map(entry => [entry.key, summarize(entry.stats, exactRtp(entry.key, payouts))])),
+        total: summarize(total, totalExact)
+    };
+}
+
+function parsePairs(text, flag) {
+    const pairs = {};
+    text.split(',').forEach(pair => {
+        const [key, value] = pair.split('=');
+        const number = Number(value);
+        if (!key || !Number.isFinite(number) || number <= 0) throw new Error(`Invalid ${flag} entry: ${pair}`);
+        pairs[key] = number;
+    });
+    return pairs;
+}
+
+function parseArgs(argv) {
+    const options = { payouts: { ...engine.DEFAULT_PAYOUTS } };
+    let overrides = {};
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const next = () => {
+            if (argv[i + 1] === undefined) throw new Error(`${flag} needs a value`);
+            return argv[++i];
+        };
+        if (flag === '--rounds') options.rounds = parseInt(next(), 10);
+        else if (flag === '--seed') options.seed = next();
+        else if (flag === '--config') options.payouts = { ...options.payouts, ...JSON.parse(fs.readFileSync(next(), 'utf8')).payouts };
+        else if (flag === '--payouts') overrides = parsePairs(next(), flag);
+        else if (flag === '--mix') options.mix = parsePairs(next(), flag);
+        else if (flag === '--stake') options.stake = Number(next());
+        else if (flag === '--json') options.json = true;
+        else throw new Error(`Unknown option: ${flag}`);
+    }
+    Object.keys(overrides).forEach(key => {
+        if (!(key in engine.DEFAULT_PAYOUTS)) throw new Error(`Unknown payout: ${key}`);
+    });
+    options.payouts = { ...options.payouts, ...overrides };
+    Object.keys(options.mix || {}).forEach(mixValues);
+    if (options.rounds !== undefined && !(options.rounds > 0)) throw new Error('--rounds must be a positive number');
+    if (options.stake !== undefined && !(options.stake > 0)) throw new Error('--stake must be a positive number');
+    return options;
+}
+
+function percent(value) {
+    return `${(value * 100).toFixed(3)}%`;
+}
+
+function printReport(report) {
+    console.log(`Rounds: ${report.rounds}  Seed: ${report.seed}  Stake: ${report.stake}`);
+    console.log(`Payouts: ${Object.entries(report.payouts).map(([k, v]) => `${k}=${v}`).join(' ')}`);
+    console.log('');
+    const header = ['Bet', 'Bets', 'RTP', 'Exact RTP', 'House edge', 'Variance', 'Max drawdown'];
+    const rows = Object.entries(report.bets).concat([['total', report.total]]).map(([key, s]) => [
+        key,
+        String(s.bets),
+        percent(s.rtp),
+        percent(s.exactRtp),
+        percent(s.houseEdge),
+        s.variance.toFixed(4),
+        s.maxDrawdown.toFixed(2)
+    ]);
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+    [header, ...rows].forEach(row => {
+        console.log(row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  '));
+    });
+    console.log('');
+    console.log('Variance is per unit staked. Max drawdown is the house\'s largest peak-to-trough loss.');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        console.error('Usage: node scripts/simulate.js [--rounds N] [--seed S] [--config FILE] [--payouts K=V,...] [--mix K=W,...] [--stake N] [--json]');
+        process.exit(1);
+    }
+    const report = simulate(options);
+    if (options.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+}
+
+if (require.main === module) main();
+
+module.exports = { simulate, exactRtp };
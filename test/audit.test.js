@@ -0,0 +1,231 @@
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Types } = require('mongoose');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { createRoundEngine } = require('../lib/roundEngine');
+const { createBetting } = require('../lib/betting');
+const { createAuditLog, canonicalJson } = require('../lib/audit');
+const { createLogger } = require('../lib/logger');
+const { manualClock } = require('./helpers');
+
+// The first 30s round open and a player with 100 to bet
+async function setup(snapshotPath = null) {
+    const clock = manualClock(new Date('2024-03-01T10:00:00Z'));
+    const storage = createMemoryStorage({ clock, snapshotPath });
+    const audit = createAuditLog({ storage, clock });
+    const rounds = createRoundEngine({ storage, clock, audit, logger: createLogger({ level: 'silent' }) });
+    const betting = createBetting({ storage, clock });
+
+    await rounds.tick();
+    const user = await storage.users.create({ username: 'audited', passwordHash: 'x' });
+    await storage.ledger.post({ userId: user._id, type: 'deposit', amount: 100, key: `deposit:${user._id}` });
+    return { clock, storage, audit, rounds, betting, user };
+}
+
+async function runFor(sim, seconds) {
+    for (let i = 0; i < seconds; i++) {
+        sim.clock.advance(1000);
+        await sim.rounds.tick();
+    }
+}
+
+// One 30s round with a bet on it, played to settlement
+async function playRound(snapshotPath = null) {
+    const sim = await setup(snapshotPath);
+    const { bet } = await sim.betting.placeBet({ userId: sim.user._id, mode: '30s', betType: 'size', betValue: 'big', amount: 10, multiplier: 1 });
+    await runFor(sim, 30);
+    return { ...sim, bet };
+}
+
+function entriesFor(storage, roundId) {
+    return storage.data.audit.filter(entry => String(entry.data.roundId) === String(roundId));
+}
+
+test('a round and its bets leave a linked, verifiable trail', async () => {
+    const { storage, audit, bet } = await playRound();
+
+    assert.deepEqual(entriesFor(storage, bet.roundId).map(entry => entry.type), [
+        'round.opened',
+        'bet.placed',
+        'round.locked',
+        'round.resulted',
+        'bet.settled',
+        'round.settled'
+    ]);
+    const resulted = entriesFor(storage, bet.roundId).find(entry => entry.type === 'round.resulted');
+    const round = storage.data.rounds.find(r => r._id.equals(bet.roundId));
+    assert.equal(resulted.data.seed, round.seed);
+
+    storage.data.audit.forEach((entry, i) => {
+        assert.equal(entry.seq, i + 1);
+        if (i > 0) assert.equal(entry.prevHash, storage.data.audit[i - 1].hash);
+    });
+    const result = await audit.verify();
+    assert.equal(result.ok, true);
+    assert.equal(result.checked, storage.data.audit.length);
+    assert.deepEqual(result.head, { seq: storage.data.audit.length, hash: storage.data.audit.at(-1).hash });
+});
+
+test('bets go on the trail when the round locks, cancelled ones with their cancellation', async () => {
+    const sim = await setup();
+    const { user, betting, storage } = sim;
+    const { bet: kept } = await betting.placeBet({ userId: user._id, mode: '30s', betType: 'size', betValue: 'big', amount: 10, multiplier: 1 });
+    const { bet: cancelled } = await betting.placeBet({ userId: user._id, mode: '30s', betType: 'number', betValue: '4', amount: 10, multiplier: 1 });
+    sim.clock.advance(3000);
+    await betting.cancelBet({ userId: user._id, betId: cancelled._id });
+    assert.deepEqual(entriesFor(storage, kept.roundId).map(entry => entry.type), ['round.opened']);
+
+    await runFor(sim, 22);
+    const entries = entriesFor(storage, kept.roundId);
+    assert.deepEqual(entries.map(entry => [entry.type, String(entry.data.betId)]), [
+        ['round.opened', 'undefined'],
+        ['bet.placed', String(kept._id)],
+        ['bet.placed', String(cancelled._id)],
+        ['bet.cancelled', String(cancelled._id)],
+        ['round.locked', 'undefined']
+    ]);
+    // Stamped with when each happened, not when the round locked
+    assert.equal(new Date(entries[2].data.createdAt).getTime(), cancelled.createdAt.getTime());
+    assert.equal(new Date(entries[3].data.cancelledAt).getTime(), cancelled.createdAt.getTime() + 3000);
+});
+
+test('a settlement that fails part way leaves nothing behind', async () => {
+    const sim = await setup();
+    const { storage, audit, user } = sim;
+    const { bets } = await sim.betting.placeBets({
+        userId: user._id,
+        mode: '30s',
+        slipId: new Types.ObjectId(),
+        selections: [
+            { betType: 'size', betValue: 'big', amount: 10, multiplier: 1 },
+            { betType: 'size', betValue: 'small', amount: 10, multiplier: 1 }
+        ]
+    });
+    const settle = storage.bets.settle;
+    storage.bets.settle = async () => {
+        storage.bets.settle = settle;
+        throw new Error('Connection lost');
+    };
+
+    await runFor(sim, 30);
+    const types = () => entriesFor(storage, bets[0].roundId).map(entry => entry.type);
+    assert.ok(!types().includes('round.resulted'));
+    assert.ok(!types().includes('bet.settled'));
+    assert.equal(storage.data.ledger.filter(entry => entry.type === 'payout').length, 0);
+    assert.ok(storage.data.bets.every(bet => bet.result === 'pending'));
+
+    await sim.rounds.tick();
+    assert.deepEqual(types().slice(-4), ['round.resulted', 'bet.settled', 'bet.settled', 'round.settled']);
+    assert.equal(storage.data.ledger.filter(entry => entry.type === 'payout').length, 1);
+    assert.equal((await audit.verify()).ok, true);
+});
+
+test('retrying a settlement adds nothing to the trail', async () => {
+    const { storage, rounds, bet } = await playRound();
+    const round = storage.data.rounds.find(r => r._id.equals(bet.roundId));
+    const count = storage.data.audit.length;
+
+    // As if the loop crashed after the result was written and came back
+    round.status = 'locked';
+    await rounds.settleRound(round);
+    assert.equal(storage.data.audit.length, count);
+});
+
+test('lock and void entries lost to a failed append are recorded later', async () => {
+    const sim = await setup();
+    const { storage, audit, rounds, user } = sim;
+    const record = audit.record;
+    const failOnce = (type) => {
+        audit.record = async (...args) => {
+            if (args[0] !== type) return record(...args);
+            audit.record = record;
+            throw new Error('Connection lost');
+        };
+    };
+    const types = (roundId) => entriesFor(storage, roundId).map(entry => entry.type);
+
+    const { bet } = await sim.betting.placeBet({ userId: user._id, mode: '30s', betType: 'size', betValue: 'big', amount: 10, multiplier: 1 });
+    failOnce('round.locked');
+    await runFor(sim, 25);
+    assert.equal(storage.data.rounds.find(r => r._id.equals(bet.roundId)).status, 'locked');
+    assert.ok(!types(bet.roundId).includes('round.locked'));
+
+    await runFor(sim, 5);
+    assert.deepEqual(types(bet.roundId), ['round.opened', 'bet.placed', 'round.locked', 'round.resulted', 'bet.settled', 'round.settled']);
+
+    const next = await storage.rounds.latest('30s');
+    failOnce('round.voided');
+    await assert.rejects(rounds.voidRound(next, 'test', 'admin'), /Connection lost/);
+    assert.equal(storage.data.rounds.find(r => r._id.equals(next._id)).status, 'void');
+    assert.deepEqual(types(next._id), ['round.opened']);
+
+    await runFor(sim, 31);
+    assert.deepEqual(types(next._id), ['round.opened', 'round.voided', 'round.refunded']);
+    assert.equal(entriesFor(storage, next._id)[1].data.reason, 'test');
+    assert.equal((await audit.verify()).ok, true);
+});
+
+test('verify finds edited and missing entries', async () => {
+    const { storage, audit } = await playRound();
+    const settled = storage.data.audit.find(entry => entry.type === 'bet.settled');
+
+    const payout = settled.data.payout;
+    settled.data.payout = payout + 1000;
+    assert.deepEqual(await audit.verify(), {
+        ok: false,
+        checked: settled.seq - 1,
+        brokenAt: settled.seq,
+        problem: 'Hash does not match contents'
+    });
+    settled.data.payout = payout;
+
+    storage.data.audit.splice(settled.seq - 1, 1);
+    const result = await audit.verify();
+    assert.equal(result.ok, false);
+    assert.equal(result.brokenAt, settled.seq);
+    assert.equal(result.problem, 'Entry is missing');
+});
+
+test('a rejected slip leaves no entries and the chain survives a snapshot', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chromex-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'snapshot.json');
+
+    const { clock, storage, rounds, betting, user } = await playRound(file);
+    await rounds.tick();
+    const count = storage.data.audit.length;
+    await assert.rejects(betting.placeBets({
+        userId: user._id,
+        mode: '30s',
+        slipId: new Types.ObjectId(),
+        selections: [
+            { betType: 'number', betValue: '3', amount: 60, multiplier: 1 },
+            { betType: 'number', betValue: '4', amount: 60, multiplier: 1 }
+        ]
+    }), /Insufficient balance/);
+    assert.equal(storage.data.audit.length, count);
+
+    await storage.saveSnapshot();
+    const restored = createMemoryStorage({ clock, snapshotPath: file });
+    await restored.loadSnapshot();
+    assert.equal((await createAuditLog({ storage: restored, clock }).verify()).ok, true);
+
+    // Keys on the restored chain still count as recorded
+    const first = restored.data.audit[0];
+    assert.equal(await restored.audit.append(first.key, () => { throw new Error('should not build'); }), null);
+});
+
+test('canonical JSON ignores key order and empty fields', () => {
+    const id = new Types.ObjectId();
+    const at = new Date('2024-03-01T10:00:00Z');
+    assert.equal(
+        canonicalJson({ b: 1, a: { id, at, skip: undefined, none: null } }),
+        canonicalJson({ a: { at, id }, b: 1 })
+    );
+    assert.equal(canonicalJson({ a: [id, at] }), `{"a":["${id}","2024-03-01T10:00:00.000Z"]}`);
+});
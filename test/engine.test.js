@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const engine = require('../public/engine');
+
+const PAYOUTS = { color: 2, violet: 4.5, number: 9, violetNumber: 4.5, size: 2 };
+const CONFIG = { minStake: 10, maxStake: 100000, multipliers: [1, 5, 10, 20, 50, 100], payouts: PAYOUTS };
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+// Every bet the game offers, in the column order of EXPECTED below
+const BETS = [
+    ['color', 'green'], ['color', 'red'], ['color', 'violet'],
+    ['number', '0'], ['number', '1'], ['number', '2'], ['number', '3'], ['number', '4'],
+    ['number', '5'], ['number', '6'], ['number', '7'], ['number', '8'], ['number', '9'],
+    ['size', 'big'], ['size', 'small']
+];
+
+// Result number -> [color, size, payout multiplier for each of BETS]
+const EXPECTED = {
+    0: ['red_violet', 'small', [0, 2, 4.5, 4.5, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2]],
+    1: ['green', 'small', [2, 0, 0, 0, 9, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2]],
+    2: ['red', 'small', [0, 2, 0, 0, 0, 9, 0, 0, 0, 0, 0, 0, 0, 0, 2]],
+    3: ['green', 'small', [2, 0, 0, 0, 0, 0, 9, 0, 0, 0, 0, 0, 0, 0, 2]],
+    4: ['red', 'small', [0, 2, 0, 0, 0, 0, 0, 9, 0, 0, 0, 0, 0, 0, 2]],
+    5: ['green_violet', 'big', [2, 0, 4.5, 0, 0, 0, 0, 0, 4.5, 0, 0, 0, 0, 2, 0]],
+    6: ['red', 'big', [0, 2, 0, 0, 0, 0, 0, 0, 0, 9, 0, 0, 0, 2, 0]],
+    7: ['green', 'big', [2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 9, 0, 0, 2, 0]],
+    8: ['red', 'big', [0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 9, 0, 2, 0]],
+    9: ['green', 'big', [2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 9, 2, 0]]
+};
+
+test('colorOf and sizeOf cover every number', () => {
+    for (let n = 0; n <= 9; n++) {
+        assert.equal(engine.colorOf(n), EXPECTED[n][0], `color of ${n}`);
+        assert.equal(engine.sizeOf(n), EXPECTED[n][1], `size of ${n}`);
+    }
+});
+
+test('payoutMultiplier pins every result/bet combination', () => {
+    for (let n = 0; n <= 9; n++) {
+        const result = { number: n, color: engine.colorOf(n), size: engine.sizeOf(n) };
+        BETS.forEach(([betType, betValue], i) => {
+            assert.equal(
+                engine.payoutMultiplier(betType, betValue, result, PAYOUTS),
+                EXPECTED[n][2][i],
+                `${betType} ${betValue} on ${n}`
+            );
+        });
+    }
+});
+
+test('computePayout scales the total stake and rounds to cents', () => {
+    const result = { number: 5, color: 'green_violet', size: 'big' };
+    assert.equal(engine.computePayout({ betType: 'color', betValue: 'violet', totalAmount: 11 }, result, PAYOUTS), 49.5);
+    assert.equal(engine.computePayout({ betType: 'number', betValue: '5', totalAmount: 10 }, result, PAYOUTS), 45);
+    assert.equal(engine.computePayout({ betType: 'size', betValue: 'small', totalAmount: 500 }, result, PAYOUTS), 0);
+    assert.equal(engine.computePayout({ betType: 'color', betValue: 'green', totalAmount: 0.333 }, result, PAYOUTS), 0.67);
+});
+
+test('winMultiplier matches payoutMultiplier for every winning bet', () => {
+    for (let n = 0; n <= 9; n++) {
+        const result = { number: n, color: engine.colorOf(n), size: engine.sizeOf(n) };
+        BETS.forEach(([betType, betValue]) => {
+            if (!engine.isWinningBet(betType, betValue, result)) return;
+            assert.equal(engine.winMultiplier(betType, betValue, PAYOUTS), engine.payoutMultiplier(betType, betValue, result, PAYOUTS));
+        });
+    }
+});
+
+test('resultFromHash reads the first byte modulo 10', () => {
+    assert.deepEqual(engine.resultFromHash('00ff'), { hash: '00ff', byte: 0, number: 0, color: 'red_violet', size: 'small' });
+    assert.equal(engine.resultFromHash('ff00').number, 5);
+    assert.equal(engine.resultFromHash('0fab').number, 5);
+    assert.equal(engine.resultFromHash('63ab').number, 9);
+});
+
+test('deriveResult hashes seed + period', () => {
+    const result = engine.deriveResult('seed', '20240218300123', sha256);
+    assert.equal(result.hash, sha256('seed20240218300123'));
+    assert.equal(result.number, parseInt(result.hash.slice(0, 2), 16) % 10);
+});
+
+test('deriveResult passes through an async hash function', async () => {
+    const sync = engine.deriveResult('abc', '1', sha256);
+    const async = await engine.deriveResult('abc', '1', text => Promise.resolve(sha256(text)));
+    assert.deepEqual(async, sync);
+});
+
+test('validateBet accepts every offered bet', () => {
+    BETS.forEach(([betType, betValue]) => {
+        assert.equal(engine.validateBet({ betType, betValue, amount: 10, multiplier: 1 }, CONFIG), null);
+    });
+    assert.equal(engine.validateBet({ betType: 'number', betValue: 0, amount: 10, multiplier: 1 }, CONFIG), null);
+});
+
+test('validateBet rejects bad bets', () => {
+    const bet = { betType: 'color', betValue: 'red', amount: 10, multiplier: 1 };
+    assert.equal(engine.validateBet({ ...bet, amount: undefined }, CONFIG), 'Missing fields');
+    assert.equal(engine.validateBet({ ...bet, amount: 9 }, CONFIG), 'Minimum bet is 10');
+    assert.equal(engine.validateBet({ ...bet, amount: 10.5 }, CONFIG), 'Minimum bet is 10');
+    assert.equal(engine.validateBet({ ...bet, multiplier: 3 }, CONFIG), 'Invalid multiplier');
+    assert.equal(engine.validateBet({ ...bet, amount: 1001, multiplier: 100 }, CONFIG), 'Maximum bet is 100000');
+    assert.equal(engine.validateBet({ ...bet, betValue: 'red_violet' }, CONFIG), 'Invalid bet value for bet type');
+    assert.equal(engine.validateBet({ ...bet, betType: 'number', betValue: '10' }, CONFIG), 'Invalid bet value for bet type');
+    assert.equal(engine.validateBet({ ...bet, betType: 'parity' }, CONFIG), 'Invalid bet value for bet type');
+});
+
+test('formatPeriod numbers rounds from local midnight', () => {
+    assert.equal(engine.formatPeriod(30, new Date(2024, 1, 18, 0, 0, 0)), '20240218300001');
+    assert.equal(engine.formatPeriod(30, new Date(2024, 1, 18, 1, 1, 29)), '20240218300123');
+    assert.equal(engine.formatPeriod(300, new Date(2024, 1, 18, 23, 59, 59)), '202402183000288');
+    assert.equal(engine.periodDay('20240218300123'), '20240218');
+    assert.equal(engine.periodIndex('20240218300123'), 123);
+});
+
+test('chiSquarePValue matches published critical values', () => {
+    assert.ok(Math.abs(engine.chiSquarePValue(16.919, 9) - 0.05) < 1e-4);
+    assert.ok(Math.abs(engine.chiSquarePValue(21.666, 9) - 0.01) < 1e-4);
+    assert.ok(Math.abs(engine.chiSquarePValue(3.841, 1) - 0.05) < 1e-4);
+    assert.equal(engine.chiSquarePValue(0, 9), 1);
+});
+
+test('streaks reports the current and longest runs', () => {
+    assert.deepEqual(engine.streaks(['red', 'red', 'green', 'green', 'green', 'red']), {
+        current: { value: 'red', length: 2 },
+        longest: { value: 'green', length: 3 }
+    });
+    assert.deepEqual(engine.streaks([]), {
+        current: { value: null, length: 0 },
+        longest: { value: null, length: 0 }
+    });
+});
+
+test('resultStats counts violet results towards their color and violet', () => {
+    const results = [0, 5, 5, 7, 2].map(n => ({ number: n, color: engine.colorOf(n), size: engine.sizeOf(n) }));
+    const stats = engine.resultStats(results);
+    assert.equal(stats.rounds, 5);
+    assert.deepEqual(stats.numbers, [1, 0, 1, 0, 0, 2, 0, 1, 0, 0]);
+    assert.deepEqual(stats.colors, { green: 3, red: 2, violet: 3 });
+    assert.deepEqual(stats.sizes, { big: 3, small: 2 });
+    assert.deepEqual(stats.streaks.color.current, { value: 'red', length: 1 });
+    assert.deepEqual(stats.streaks.color.longest, { value: 'green', length: 3 });
+    assert.equal(stats.chiSquare.degreesOfFreedom, 9);
+});
+
+test('resultStats gives a perfect fit for perfectly uniform numbers', () => {
+    const results = [];
+    for (let n = 0; n <= 9; n++) results.push({ number: n, color: engine.colorOf(n), size: engine.sizeOf(n) });
+    const stats = engine.resultStats(results);
+    assert.equal(stats.chiSquare.statistic, 0);
+    assert.equal(stats.chiSquare.pValue, 1);
+    assert.equal(engine.resultStats([]).chiSquare.pValue, null);
+});
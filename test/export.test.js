@@ -0,0 +1,67 @@
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { manualClock, createSim, listen } = require('./helpers');
+
+async function played(seconds) {
+    const sim = createSim({ clock: manualClock(new Date('2024-03-01T10:00:00Z')) });
+    for (let i = 0; i < seconds; i++) {
+        await sim.rounds.tick();
+        sim.clock.advance(1000);
+    }
+    return sim;
+}
+
+test('the export streams every settled round of the day', async (t) => {
+    const sim = await played(2 * 60);
+    const base = await listen(t, sim.app);
+
+    const res = await fetch(`${base}/api/game/history/30s/export?format=csv&day=2024-03-01`);
+    assert.equal(res.status, 200);
+    const rows = (await res.text()).trim().split('\n');
+    const settled = sim.storage.data.rounds.filter(round => round.mode === '30s' && round.status === 'settled');
+    assert.equal(rows[0], 'period,startTime,endTime,number,color,size,commitHash,seed');
+    assert.deepEqual(rows.slice(1).map(row => row.split(',')[0]), settled.map(round => round.period));
+});
+
+test('a client leaving mid-download ends the export and closes the cursor', async (t) => {
+    const sim = await played(1);
+    const base = await listen(t, sim.app);
+
+    // More rows than any socket buffer holds
+    let closed = false;
+    let finished = false;
+    sim.storage.rounds.stream = () => ({
+        async close() {
+            closed = true;
+        },
+        async *[Symbol.asyncIterator]() {
+            try {
+                for (let i = 0; !closed; i++) {
+                    yield {
+                        period: String(i),
+                        startTime: new Date(0),
+                        endTime: new Date(0),
+                        result: { number: 1, color: 'green', size: 'small' },
+                        commitHash: 'a'.repeat(64),
+                        seed: 'b'.repeat(64)
+                    };
+                }
+            } finally {
+                finished = true;
+            }
+        }
+    });
+
+    const controller = new AbortController();
+    const res = await fetch(`${base}/api/game/history/30s/export?day=2024-03-01`, { signal: controller.signal });
+    await res.body.getReader().read();
+    controller.abort();
+
+    for (let waited = 0; !finished && waited < 2000; waited += 20) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(finished, true);
+    assert.equal(closed, true);
+});
@@ -0,0 +1,42 @@
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { createRoundEngine } = require('../lib/roundEngine');
+const { createGameLoop } = require('../lib/leader');
+const { createLiveUpdates } = require('../lib/liveUpdates');
+const { createBetting } = require('../lib/betting');
+const { createMetrics } = require('../lib/metrics');
+const { createApp } = require('../lib/app');
+const { createLogger } = require('../lib/logger');
+
+// Shared by the test files; holds no tests of its own
+
+// A clock that only moves when told to
+function manualClock(start) {
+    let time = start.getTime();
+    return {
+        now: () => new Date(time),
+        advance: ms => { time += ms; }
+    };
+}
+
+// The app wired as server.js wires it, on memory storage. Logs go nowhere
+// unless `logger` is given.
+function createSim({ clock, logger = createLogger({ level: 'silent' }), metrics = createMetrics() } = {}) {
+    const storage = createMemoryStorage({ clock });
+    const rounds = createRoundEngine({ storage, clock, metrics, logger });
+    const loop = createGameLoop({ storage, rounds, clock, metrics, logger });
+    const live = createLiveUpdates({ storage, clock, logger });
+    const betting = createBetting({ storage, clock });
+    const app = createApp({ clock, storage, rounds, live, betting, loop, metrics, logger });
+    return { clock, storage, rounds, loop, betting, metrics, app };
+}
+
+// Serves `app` on a free port until the test ends. Returns its base URL.
+async function listen(t, app) {
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+module.exports = { manualClock, createSim, listen };
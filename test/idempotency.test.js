@@ -0,0 +1,118 @@
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Types } = require('mongoose');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { IDEMPOTENCY_TTL_MS } = require('../lib/betting');
+const { manualClock, createSim, listen } = require('./helpers');
+
+// A running app with one signed-in player
+async function setup(t) {
+    const { clock, storage, rounds, app } = createSim({ clock: manualClock(new Date('2024-03-01T10:00:00Z')) });
+    await rounds.tick();
+    const base = await listen(t, app);
+
+    let token;
+    async function call(method, url, { body, key } = {}) {
+        const headers = { 'content-type': 'application/json' };
+        if (token) headers.authorization = `Bearer ${token}`;
+        if (key !== undefined) headers['idempotency-key'] = key;
+        const res = await fetch(base + url, { method, headers, body: body && JSON.stringify(body) });
+        return { status: res.status, headers: res.headers, body: await res.json() };
+    }
+    token = (await call('POST', '/api/auth/register', { body: { username: 'retry_player', password: 'password1' } })).body.token;
+    return { clock, storage, rounds, call };
+}
+
+const BET = { mode: '30s', betType: 'color', betValue: 'green', amount: 10, multiplier: 1 };
+
+test('a repeated key returns the first response without betting again', async (t) => {
+    const { storage, call } = await setup(t);
+
+    const first = await call('POST', '/api/game/bet', { body: BET, key: 'confirm-1' });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+
+    const again = await call('POST', '/api/game/bet', { body: BET, key: 'confirm-1' });
+    assert.equal(again.status, 200);
+    assert.equal(again.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(again.body, first.body);
+
+    assert.equal(storage.data.bets.length, 1);
+    assert.equal((await call('GET', '/api/wallet')).body.balance, first.body.balance);
+
+    // Without a key, or with a fresh one, it is a new bet
+    await call('POST', '/api/game/bet', { body: BET });
+    await call('POST', '/api/game/bet', { body: BET, key: 'confirm-2' });
+    assert.equal(storage.data.bets.length, 3);
+});
+
+test('a key reused for a different bet is refused', async (t) => {
+    const { storage, call } = await setup(t);
+    await call('POST', '/api/game/bet', { body: BET, key: 'confirm-1' });
+
+    const other = await call('POST', '/api/game/bet', { body: { ...BET, amount: 20 }, key: 'confirm-1' });
+    assert.equal(other.status, 422);
+    assert.equal(storage.data.bets.length, 1);
+
+    const bad = await call('POST', '/api/game/bet', { body: BET, key: 'has spaces' });
+    assert.equal(bad.status, 400);
+});
+
+test('rejected bets are not remembered and keys expire', async (t) => {
+    const { clock, storage, rounds, call } = await setup(t);
+
+    const tooBig = await call('POST', '/api/game/bet', { body: { ...BET, amount: 5000 }, key: 'confirm-1' });
+    assert.equal(tooBig.status, 400);
+    await call('POST', '/api/wallet/deposit', { body: { amount: 5000 } });
+    const retried = await call('POST', '/api/game/bet', { body: { ...BET, amount: 5000 }, key: 'confirm-1' });
+    assert.equal(retried.status, 200);
+    assert.equal(retried.headers.get('idempotent-replayed'), null);
+
+    // Once the key has expired it can go with a different bet
+    clock.advance(IDEMPOTENCY_TTL_MS + 1000);
+    await rounds.tick();
+    await rounds.tick();
+    const later = await call('POST', '/api/game/bet', { body: BET, key: 'confirm-1' });
+    assert.equal(later.status, 200);
+    assert.equal(later.headers.get('idempotent-replayed'), null);
+    assert.equal(storage.data.bets.length, 2);
+});
+
+test('an expired record is replaced, and kept if the replacing bet fails', async () => {
+    const clock = manualClock(new Date('2024-03-01T10:00:00Z'));
+    const storage = createMemoryStorage({ clock });
+    const userId = new Types.ObjectId();
+    const record = hash => ({ userId, key: 'confirm-1', requestHash: hash, response: {}, expiresAt: new Date(clock.now().getTime() + 1000) });
+    await storage.idempotencyKeys.create(record('first'), clock.now());
+    clock.advance(2000);
+
+    await assert.rejects(storage.transaction(async (tx) => {
+        await storage.idempotencyKeys.create(record('second'), clock.now(), tx);
+        throw new Error('Insufficient balance');
+    }), /Insufficient balance/);
+    assert.equal(storage.data.idempotencyKeys.get(`${userId}:confirm-1`).requestHash, 'first');
+
+    await storage.transaction(tx => storage.idempotencyKeys.create(record('third'), clock.now(), tx));
+    assert.equal((await storage.idempotencyKeys.find(userId, 'confirm-1', clock.now())).requestHash, 'third');
+});
+
+test('a repeated slip returns the same slip', async (t) => {
+    const { storage, call } = await setup(t);
+    const { period } = (await call('GET', '/api/game/status')).body['30s'];
+    const slip = {
+        mode: '30s',
+        period,
+        selections: [
+            { betType: 'number', betValue: 3, amount: 10, multiplier: 1 },
+            { betType: 'size', betValue: 'big', amount: 10, multiplier: 1 }
+        ]
+    };
+
+    const first = await call('POST', '/api/game/slip', { body: slip, key: 'slip-1' });
+    const again = await call('POST', '/api/game/slip', { body: slip, key: 'slip-1' });
+    assert.equal(again.headers.get('idempotent-replayed'), 'true');
+    assert.equal(again.body.slipId, first.body.slipId);
+    assert.equal(storage.data.bets.length, 2);
+});
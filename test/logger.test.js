@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../lib/logger');
+const { createSim, listen } = require('./helpers');
+
+function capture(level = 'debug') {
+    const lines = [];
+    const logger = createLogger({ level, write: line => lines.push(JSON.parse(line)) });
+    return { lines, logger };
+}
+
+test('log lines are JSON with a level, message and fields', () => {
+    const { lines, logger } = capture('info');
+    logger.debug('hidden');
+    logger.info('Round started', { mode: '30s' });
+    logger.child({ requestId: 'abc' }).error('Failed', { err: new Error('boom') });
+
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0].level, 'info');
+    assert.equal(lines[0].msg, 'Round started');
+    assert.equal(lines[0].mode, '30s');
+    assert.ok(!isNaN(Date.parse(lines[0].time)));
+    assert.equal(lines[1].requestId, 'abc');
+    assert.equal(lines[1].err.message, 'boom');
+    assert.match(lines[1].err.stack, /boom/);
+});
+
+test('each request gets an id that is echoed and logged', async (t) => {
+    const { lines, logger } = capture();
+    const base = await listen(t, createSim({ logger }).app);
+
+    const given = await fetch(`${base}/api/game/config`, { headers: { 'x-request-id': 'edge-42' } });
+    assert.equal(given.headers.get('x-request-id'), 'edge-42');
+    const made = await fetch(`${base}/api/game/config`, { headers: { 'x-request-id': 'not valid!' } });
+    assert.match(made.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+    const reg = await fetch(`${base}/api/auth/register`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ username: 'logged_player', password: 'password1' })
+    });
+    const { token, user } = await reg.json();
+    await fetch(`${base}/api/auth/me`, { headers: { authorization: `Bearer ${token}` } });
+
+    const finished = lines.filter(line => line.msg === 'Request finished');
+    assert.deepEqual(
+        finished.map(line => [line.path, line.status, line.level]),
+        [['/api/game/config', 200, 'info'], ['/api/game/config', 200, 'info'], ['/api/auth/register', 201, 'info'], ['/api/auth/me', 200, 'info']]
+    );
+    assert.equal(finished[0].requestId, 'edge-42');
+    assert.equal(finished[1].requestId, made.headers.get('x-request-id'));
+    assert.equal(finished[3].userId, user.id);
+});
@@ -0,0 +1,121 @@
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Types } = require('mongoose');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { createRoundEngine } = require('../lib/roundEngine');
+const { createLogger } = require('../lib/logger');
+const { manualClock, createSim, listen } = require('./helpers');
+
+function setup(start) {
+    return createSim({ clock: manualClock(start) });
+}
+
+// A JSON client for the app, signed in when given a token
+async function connect(t, app) {
+    const base = await listen(t, app);
+    return async function call(method, url, { token, body } = {}) {
+        const headers = { 'content-type': 'application/json' };
+        if (token) headers.authorization = `Bearer ${token}`;
+        const res = await fetch(base + url, { method, headers, body: body && JSON.stringify(body) });
+        return { status: res.status, body: await res.json() };
+    };
+}
+
+test('a player can register, bet and be settled with no database', async (t) => {
+    const sim = setup(new Date('2024-03-01T10:00:00Z'));
+    await sim.rounds.tick();
+    const call = await connect(t, sim.app);
+
+    const reg = await call('POST', '/api/auth/register', { body: { username: 'memory_player', password: 'password1' } });
+    assert.equal(reg.status, 201);
+    const { token } = reg.body;
+    const start = (await call('GET', '/api/wallet', { token })).body.balance;
+
+    const dup = await call('POST', '/api/auth/register', { body: { username: 'Memory_Player', password: 'password1' } });
+    assert.equal(dup.status, 409);
+
+    const bet = await call('POST', '/api/game/bet', {
+        token,
+        body: { mode: '30s', betType: 'color', betValue: 'green', amount: 10, multiplier: 1 }
+    });
+    assert.equal(bet.status, 200);
+    assert.equal(bet.body.balance, start - 10);
+
+    for (let i = 0; i < 31; i++) {
+        sim.clock.advance(1000);
+        await sim.rounds.tick();
+    }
+
+    const mine = await call('GET', '/api/game/my-bets', { token });
+    assert.equal(mine.body.length, 1);
+    assert.notEqual(mine.body[0].result, 'pending');
+
+    const wallet = await call('GET', '/api/wallet', { token });
+    assert.equal(wallet.body.balance, start - 10 + mine.body[0].payout);
+});
+
+test('a slip the wallet cannot cover leaves no trace', async () => {
+    const sim = setup(new Date('2024-03-01T10:00:00Z'));
+    await sim.rounds.tick();
+    const user = await sim.storage.users.create({ username: 'short_stack', passwordHash: 'x' });
+    await sim.storage.ledger.post({ userId: user._id, type: 'deposit', amount: 50, key: `deposit:${user._id}` });
+
+    await assert.rejects(sim.betting.placeBets({
+        userId: user._id,
+        mode: '30s',
+        slipId: new Types.ObjectId(),
+        selections: [
+            { betType: 'number', betValue: '3', amount: 40, multiplier: 1 },
+            { betType: 'size', betValue: 'big', amount: 40, multiplier: 1 }
+        ]
+    }), /Insufficient balance/);
+
+    const [round] = await sim.storage.rounds.list('30s', { limit: 1 });
+    assert.equal(await sim.storage.wallets.balance(user._id), 50);
+    assert.equal(sim.storage.data.bets.length, 0);
+    assert.equal(round.betCount, 0);
+    assert.equal(round.totalStaked, 0);
+});
+
+test('round totals count placed bets and leave out cancelled ones', async () => {
+    const sim = setup(new Date('2024-03-01T10:00:00Z'));
+    await sim.rounds.tick();
+    const user = await sim.storage.users.create({ username: 'counted', passwordHash: 'x' });
+    await sim.storage.ledger.post({ userId: user._id, type: 'deposit', amount: 100, key: `deposit:${user._id}` });
+
+    await sim.betting.placeBet({ userId: user._id, mode: '30s', betType: 'size', betValue: 'big', amount: 10, multiplier: 2 });
+    const { bet } = await sim.betting.placeBet({ userId: user._id, mode: '30s', betType: 'number', betValue: '7', amount: 10, multiplier: 1 });
+    await sim.betting.cancelBet({ userId: user._id, betId: bet._id });
+
+    const [round] = await sim.storage.rounds.list('30s', { limit: 1 });
+    assert.equal(round.betCount, 1);
+    assert.equal(round.totalStaked, 20);
+});
+
+test('a snapshot restores users, balances and rounds', async (t) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'chromex-')), 'snapshot.json');
+    t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+
+    const clock = manualClock(new Date('2024-03-01T10:00:00Z'));
+    const first = createMemoryStorage({ clock, snapshotPath: file });
+    const rounds = createRoundEngine({ storage: first, clock, logger: createLogger({ level: 'silent' }) });
+    await rounds.tick();
+    const user = await first.users.create({ username: 'saved_player', passwordHash: 'x' });
+    await first.ledger.post({ userId: user._id, type: 'deposit', amount: 75, key: `deposit:${user._id}` });
+    await first.saveSnapshot();
+
+    const second = createMemoryStorage({ clock, snapshotPath: file });
+    assert.equal(await second.loadSnapshot(), true);
+    const restored = await second.users.findByUsername('Saved_Player');
+    assert.ok(restored._id.equals(user._id));
+    assert.equal(await second.wallets.balance(restored._id), 75);
+
+    const round = await second.rounds.latest('30s');
+    assert.ok(round.startTime instanceof Date);
+    assert.equal(round.period, (await first.rounds.latest('30s')).period);
+});
@@ -0,0 +1,107 @@
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRegistry } = require('../lib/metrics');
+const { manualClock, createSim, listen } = require('./helpers');
+
+test('the registry renders the Prometheus text format', () => {
+    const registry = createRegistry();
+    const requests = registry.counter('requests_total', 'Requests', ['path']);
+    const latency = registry.histogram('latency_seconds', 'Latency', [], [0.1, 1]);
+    requests.inc({ path: '/a"b' });
+    requests.inc({ path: '/a"b' }, 2);
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+    latency.observe({}, 5);
+
+    assert.equal(registry.render(), [
+        '# HELP requests_total Requests',
+        '# TYPE requests_total counter',
+        'requests_total{path="/a\\"b"} 3',
+        '# HELP latency_seconds Latency',
+        '# TYPE latency_seconds histogram',
+        'latency_seconds_bucket{le="0.1"} 1',
+        'latency_seconds_bucket{le="1"} 2',
+        'latency_seconds_bucket{le="+Inf"} 3',
+        'latency_seconds_sum 5.55',
+        'latency_seconds_count 3',
+        ''
+    ].join('\n'));
+});
+
+async function setup(t) {
+    const { clock, rounds, app } = createSim({ clock: manualClock(new Date('2024-03-01T10:00:00Z')) });
+    const base = await listen(t, app);
+    async function call(method, url, { token, body } = {}) {
+        const headers = { 'content-type': 'application/json' };
+        if (token) headers.authorization = `Bearer ${token}`;
+        const res = await fetch(base + url, { method, headers, body: body && JSON.stringify(body) });
+        const text = await res.text();
+        return { status: res.status, body: res.headers.get('content-type').includes('json') ? JSON.parse(text) : text };
+    }
+    return { clock, rounds, call };
+}
+
+test('readiness fails once a round is overdue', async (t) => {
+    const { clock, rounds, call } = await setup(t);
+    assert.equal((await call('GET', '/health/ready')).status, 503);
+    assert.equal((await call('GET', '/health/live')).status, 200);
+
+    await rounds.tick();
+    assert.equal((await call('GET', '/health/ready')).status, 200);
+
+    // The loop stops ticking
+    clock.advance(45000);
+    const stalled = await call('GET', '/health/ready');
+    assert.equal(stalled.status, 503);
+    assert.deepEqual(stalled.body.overdue.map(({ mode }) => mode), ['30s']);
+
+    await rounds.tick();
+    await rounds.tick();
+    assert.equal((await call('GET', '/health/ready')).status, 200);
+});
+
+test('/metrics reports rounds, bets and requests', async (t) => {
+    const { clock, rounds, call } = await setup(t);
+    await rounds.tick();
+
+    const { token } = (await call('POST', '/api/auth/register', { body: { username: 'metrics_player', password: 'password1' } })).body;
+    const bet = { mode: '30s', betType: 'color', betValue: 'green', amount: 10, multiplier: 1 };
+    await call('POST', '/api/game/bet', { token, body: bet });
+    await call('POST', '/api/game/bet', { token, body: { ...bet, amount: 5000 } });
+    await call('POST', '/api/game/bet', { token, body: { ...bet, betValue: 'blue' } });
+
+    for (let i = 0; i < 31; i++) {
+        clock.advance(1000);
+        await rounds.tick();
+    }
+
+    const { status, body } = await call('GET', '/metrics');
+    assert.equal(status, 200);
+    const lines = body.split('\n');
+    assert.ok(lines.includes('chromex_rounds_created_total{mode="30s"} 2'));
+    assert.ok(lines.includes('chromex_rounds_settled_total{mode="30s"} 1'));
+    assert.ok(lines.includes('chromex_round_settlement_latency_seconds_count{mode="30s"} 1'));
+    assert.ok(lines.includes('chromex_bets_accepted_total{mode="30s"} 1'));
+    assert.ok(lines.includes('chromex_stake_volume_total{mode="30s"} 10'));
+    assert.ok(lines.includes('chromex_bets_rejected_total{reason="insufficient_balance"} 1'));
+    assert.ok(lines.includes('chromex_bets_rejected_total{reason="invalid"} 1'));
+    assert.ok(lines.includes('chromex_http_request_duration_seconds_count{method="POST",route="/api/game/bet",status="200"} 1'));
+});
+
+test('tick lag counts how late each loop step started', async () => {
+    const { clock, loop, metrics } = createSim({ clock: manualClock(new Date('2024-03-01T10:00:00Z')) });
+
+    await loop.renewLease();
+    for (const gap of [1000, 1000, 3000]) {
+        await loop.step();
+        clock.advance(gap);
+    }
+    await loop.step();
+
+    const lines = metrics.render().split('\n');
+    assert.ok(lines.includes('chromex_game_loop_leader 1'));
+    assert.ok(lines.includes('chromex_game_loop_tick_lag_seconds_count 3'));
+    assert.ok(lines.includes('chromex_game_loop_tick_lag_seconds_sum 2'));
+});
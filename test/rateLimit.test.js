@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { DEFAULT_RATE_LIMITS, parseRateLimits, createRateLimiter } = require('../lib/rateLimit');
+const { createLogger } = require('../lib/logger');
+const { manualClock, listen } = require('./helpers');
+
+// One route limited to 3 requests per 10s, signed in as ?user= when given
+async function serve(t, clock, storage, logger = createLogger({ level: 'silent' })) {
+    const { rateLimit } = createRateLimiter({
+        storage,
+        clock,
+        limits: { bet: { windowMs: 10000, max: 3 } }
+    });
+    const app = express();
+    app.use((req, res, next) => {
+        req.log = logger;
+        if (req.query.user) req.user = { _id: req.query.user };
+        next();
+    });
+    app.get('/bet', rateLimit('bet'), (req, res) => res.json({ ok: true }));
+
+    const base = await listen(t, app);
+    return url => fetch(base + url);
+}
+
+test('requests over the limit get 429 with Retry-After until the window ends', async (t) => {
+    const clock = manualClock(new Date('2024-03-01T10:00:02Z'));
+    const get = await serve(t, clock, createMemoryStorage({ clock }));
+
+    for (let i = 0; i < 3; i++) {
+        const res = await get('/bet?user=a');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('ratelimit-limit'), '3');
+        assert.equal(res.headers.get('ratelimit-remaining'), String(2 - i));
+        assert.equal(res.headers.get('ratelimit-reset'), '8');
+        assert.equal(res.headers.get('ratelimit-policy'), '3;w=10');
+    }
+
+    const limited = await get('/bet?user=a');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('retry-after'), '8');
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+
+    // Other players, and the address itself, have their own counts
+    assert.equal((await get('/bet?user=b')).status, 200);
+    assert.equal((await get('/bet')).status, 200);
+
+    clock.advance(8000);
+    assert.equal((await get('/bet?user=a')).status, 200);
+});
+
+test('a failing store lets requests through', async (t) => {
+    const clock = manualClock(new Date('2024-03-01T10:00:00Z'));
+    const storage = { rateLimits: { hit: async () => { throw new Error('store down'); } } };
+    const lines = [];
+    const get = await serve(t, clock, storage, createLogger({ write: line => lines.push(JSON.parse(line)) }));
+
+    const res = await get('/bet?user=a');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('ratelimit-limit'), null);
+    assert.equal(lines[0].level, 'error');
+    assert.equal(lines[0].err.message, 'store down');
+});
+
+test('memory storage drops ended windows', async () => {
+    const clock = manualClock(new Date('2024-03-01T10:00:00Z'));
+    const storage = createMemoryStorage({ clock });
+    for (let i = 0; i < 50; i++) await storage.rateLimits.hit(`api:ip:10.0.0.${i}`, 60000, clock.now());
+    assert.equal(storage.data.rateLimits.size, 50);
+
+    clock.advance(2 * 60000);
+    const hit = await storage.rateLimits.hit('api:ip:10.0.0.1', 60000, clock.now());
+    assert.equal(hit.count, 1);
+    assert.equal(storage.data.rateLimits.size, 1);
+});
+
+test('RATE_LIMITS overrides are merged over the defaults and checked', () => {
+    const limits = parseRateLimits('{"bet":{"max":10}}');
+    assert.deepEqual(limits.bet, { windowMs: DEFAULT_RATE_LIMITS.bet.windowMs, max: 10 });
+    assert.deepEqual(limits.auth, DEFAULT_RATE_LIMITS.auth);
+
+    assert.throws(() => parseRateLimits('{"bets":{"max":10}}'), /Unknown rate limit "bets"/);
+    assert.throws(() => parseRateLimits('{"bet":{"max":0}}'), /Rate limit "bet"/);
+    assert.throws(() => parseRateLimits('{"bet":{"windowMs":"60000"}}'), /Rate limit "bet"/);
+});
@@ -0,0 +1,188 @@
+// Periods are numbered in local time; pin it so midnight is where we expect
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Types } = require('mongoose');
+const engine = require('../public/engine');
+const { DEFAULT_CONFIG, MODES, gameConfig, applyConfig } = require('../lib/config');
+const { sha256Hex, deriveResult } = require('../lib/fairness');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { createRoundEngine } = require('../lib/roundEngine');
+const { createBetting } = require('../lib/betting');
+const { createLogger } = require('../lib/logger');
+const { manualClock } = require('./helpers');
+
+function setup(start, options = {}) {
+    const clock = manualClock(start);
+    const storage = createMemoryStorage();
+    const rounds = createRoundEngine({ storage, clock, logger: createLogger({ level: 'silent' }), ...options });
+    return { clock, storage, rounds };
+}
+
+// Ticks once a second, like the game loop
+async function run({ clock, rounds }, seconds) {
+    for (let i = 0; i < seconds; i++) {
+        await rounds.tick();
+        clock.advance(1000);
+    }
+}
+
+function roundsOf(storage, mode) {
+    return storage.data.rounds
+        .filter(round => round.mode === mode)
+        .sort((a, b) => a.startTime - b.startTime);
+}
+
+test('rounds run back to back across midnight and settle to their committed result', async () => {
+    const sim = setup(new Date('2024-01-01T22:00:00Z'));
+    await run(sim, 3 * 60 * 60);
+
+    for (const mode of Object.keys(MODES)) {
+        const list = roundsOf(sim.storage, mode);
+        assert.equal(list.length, (3 * 60 * 60) / MODES[mode], `${mode} round count`);
+        list.forEach((round, i) => {
+            assert.equal(round.period, engine.formatPeriod(MODES[mode], round.startTime));
+            assert.equal(round.commitHash, sha256Hex(round.seed + round.period));
+            if (i > 0) assert.equal(round.startTime.getTime(), list[i - 1].endTime.getTime(), `${mode} ${round.period} follows on`);
+            if (i === list.length - 1) return;
+
+            const { number, color, size } = deriveResult(round.seed, round.period);
+            assert.equal(round.status, 'settled');
+            assert.deepEqual(round.result, { number, color, size });
+        });
+
+        const firstOfDay = list.find(round => engine.periodDay(round.period) === '20240102');
+        assert.equal(firstOfDay.startTime.toISOString(), '2024-01-02T00:00:00.000Z');
+        assert.equal(engine.periodIndex(firstOfDay.period), 1);
+    }
+    assert.equal(sim.storage.data.roundGaps.length, 0);
+});
+
+test('a round locks once it is inside the lock window', async () => {
+    const sim = setup(new Date('2024-01-01T12:00:00Z'));
+    const seen = [];
+    for (let i = 0; i < MODES['30s']; i++) {
+        await sim.rounds.tick();
+        const round = roundsOf(sim.storage, '30s')[0];
+        seen.push({ timeLeft: (round.endTime - sim.clock.now()) / 1000, status: round.status });
+        sim.clock.advance(1000);
+    }
+
+    seen.forEach(({ timeLeft, status }) => {
+        assert.equal(status, timeLeft <= gameConfig.lockWindowSeconds ? 'locked' : 'open', `${timeLeft}s left`);
+    });
+});
+
+test('settlement pays winning bets through the ledger, once', async () => {
+    const sim = setup(new Date('2024-01-01T12:00:00Z'));
+    await sim.rounds.tick();
+    const round = await sim.storage.rounds.latest('30s');
+
+    const userId = new Types.ObjectId();
+    const bets = await sim.storage.bets.create(engine.BET_VALUES.number.map(value => ({
+        userId,
+        roundId: round._id,
+        period: round.period,
+        mode: '30s',
+        betType: 'number',
+        betValue: value,
+        amount: 10,
+        totalAmount: 10
+    })));
+
+    await run(sim, MODES['30s'] + 1);
+    const settled = await sim.storage.rounds.findByPeriod('30s', round.period);
+    assert.equal(settled.status, 'settled');
+
+    const winner = bets.find(bet => Number(bet.betValue) === settled.result.number);
+    const payout = engine.computePayout(winner, settled.result, gameConfig.payouts);
+    const payouts = sim.storage.data.ledger.filter(entry => entry.type === 'payout');
+    assert.equal(payouts.length, 1);
+    assert.equal(payouts[0].key, `payout:${winner._id}`);
+    assert.equal(payouts[0].amount, payout);
+
+    sim.storage.data.bets.forEach(bet => {
+        const won = String(bet._id) === String(winner._id);
+        assert.equal(bet.result, won ? 'win' : 'lose');
+        assert.equal(bet.payout, won ? payout : 0);
+    });
+
+    // A retried settlement finds nothing left to pay
+    await sim.rounds.settleBets(settled);
+    assert.equal(sim.storage.data.ledger.length, 1);
+    assert.equal(sim.storage.data.wallets.get(String(userId)), payout);
+});
+
+test('bets settle at the payouts they were placed at', async (t) => {
+    t.after(() => applyConfig(DEFAULT_CONFIG));
+    const sim = setup(new Date('2024-01-01T12:00:00Z'));
+    const betting = createBetting({ storage: sim.storage, clock: sim.clock });
+    await sim.rounds.tick();
+    const userId = new Types.ObjectId();
+    await sim.storage.ledger.post({ userId, type: 'deposit', amount: 100, key: `deposit:${userId}` });
+    const { bets } = await betting.placeBets({
+        userId,
+        mode: '30s',
+        slipId: new Types.ObjectId(),
+        selections: engine.BET_VALUES.number.map(value => ({ betType: 'number', betValue: value, amount: 10, multiplier: 1 }))
+    });
+
+    // Doubled while the round is open
+    applyConfig({ ...DEFAULT_CONFIG, payouts: { ...DEFAULT_CONFIG.payouts, number: 18, violetNumber: 9 } });
+    await run(sim, MODES['30s'] + 1);
+
+    const round = roundsOf(sim.storage, '30s')[0];
+    const winner = bets.find(bet => Number(bet.betValue) === round.result.number);
+    const [payout] = sim.storage.data.ledger.filter(entry => entry.type === 'payout');
+    assert.equal(payout.amount, 10 * engine.winMultiplier('number', winner.betValue, DEFAULT_CONFIG.payouts));
+});
+
+test('chain seeds link back to the day anchor and restart at midnight', async () => {
+    const sim = setup(new Date('2024-01-01T23:58:00Z'), { fairnessScheme: 'chain' });
+    await run(sim, 4 * 60);
+
+    const chains = sim.storage.data.seedChains.filter(chain => chain.mode === '1min');
+    assert.deepEqual(chains.map(chain => chain.day).sort(), ['20240101', '20240102']);
+
+    const list = roundsOf(sim.storage, '1min');
+    list.forEach((round, i) => {
+        const chain = chains.find(c => c.day === engine.periodDay(round.period));
+        assert.equal(round.chainIndex, engine.periodIndex(round.period));
+        const previous = list[i - 1];
+        const expected = previous && engine.periodDay(previous.period) === chain.day ? previous.seed : null;
+        if (expected) assert.equal(sha256Hex(round.seed), expected);
+        if (round.chainIndex === 1) assert.equal(sha256Hex(round.seed), chain.anchor);
+    });
+});
+
+test('a bet that lands after its round is voided is still refunded', async () => {
+    const sim = setup(new Date('2024-01-01T12:00:00Z'));
+    await sim.rounds.tick();
+    const round = await sim.storage.rounds.latest('30s');
+    await sim.rounds.voidRound(round, 'test', 'admin');
+
+    // A bet transaction that read the round while it was still open and
+    // committed after the void's refunds
+    const userId = new Types.ObjectId();
+    await sim.storage.ledger.post({ userId, type: 'deposit', amount: 10, key: `deposit:${userId}` });
+    const [bet] = await sim.storage.bets.create([{
+        userId,
+        roundId: round._id,
+        period: round.period,
+        mode: '30s',
+        betType: 'color',
+        betValue: 'red',
+        amount: 10,
+        totalAmount: 10
+    }]);
+    await sim.storage.ledger.post({ userId, type: 'stake', amount: -10, key: `stake:${bet._id}`, betId: bet._id });
+    assert.equal((await sim.storage.rounds.findByPeriod('30s', round.period)).refundedAt, undefined);
+
+    await run(sim, MODES['30s'] + 1);
+    const voided = await sim.storage.rounds.findByPeriod('30s', round.period);
+    assert.ok(voided.refundedAt >= round.endTime);
+    assert.equal(sim.storage.data.bets[0].result, 'refunded');
+    assert.equal(sim.storage.data.wallets.get(String(userId)), 10);
+    assert.equal(roundsOf(sim.storage, '30s').length, 2);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setRole } = require('../scripts/set-role');
+const { manualClock, createSim, listen } = require('./helpers');
+
+test('accounts register as players and only set-role makes an admin', async (t) => {
+    const sim = createSim({ clock: manualClock(new Date('2024-03-01T10:00:00Z')) });
+    const base = await listen(t, sim.app);
+    const call = async (method, path, { token, body } = {}) => {
+        const res = await fetch(base + path, {
+            method,
+            headers: { 'content-type': 'application/json', ...(token && { authorization: `Bearer ${token}` }) },
+            body: body && JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    };
+
+    const reg = await call('POST', '/api/auth/register', { body: { username: 'admin', password: 'password1' } });
+    assert.equal(reg.body.user.role, 'player');
+    const { token } = reg.body;
+    assert.equal((await call('POST', '/api/admin/rounds/30s/x/void', { token, body: { reason: 'test' } })).status, 403);
+
+    assert.equal((await setRole(sim.storage, 'Admin', 'admin')).role, 'admin');
+    assert.equal((await call('GET', '/api/auth/me', { token })).body.role, 'admin');
+    const login = await call('POST', '/api/auth/login', { body: { username: 'admin', password: 'password1' } });
+    assert.equal(login.body.user.role, 'admin');
+
+    await setRole(sim.storage, 'admin', 'player');
+    assert.equal((await call('GET', '/api/auth/me', { token })).body.role, 'player');
+
+    assert.equal(await setRole(sim.storage, 'nobody', 'admin'), null);
+    await assert.rejects(setRole(sim.storage, 'admin', 'root'), /Role must be one of/);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../public/engine');
+const { simulate, exactRtp } = require('../scripts/simulate');
+
+test('exactRtp reflects the first-byte modulo bias', () => {
+    // 0-5 are each 26/256 likely and 6-9 are 25/256, so small edges out
+    // big and a size bet on either side averages back to exactly 1
+    assert.equal(exactRtp('size', engine.DEFAULT_PAYOUTS), 1);
+    assert.equal(exactRtp('size:small', engine.DEFAULT_PAYOUTS), (130 / 256) * 2);
+    assert.equal(exactRtp('number:9', engine.DEFAULT_PAYOUTS), (25 / 256) * 9);
+    assert.equal(exactRtp('number:0', engine.DEFAULT_PAYOUTS), (26 / 256) * 4.5);
+});
+
+test('simulate replays the same rounds for the same seed', () => {
+    const first = simulate({ rounds: 500, seed: 'fixed' });
+    const second = simulate({ rounds: 500, seed: 'fixed' });
+    assert.deepEqual(first, second);
+    assert.notDeepEqual(simulate({ rounds: 500, seed: 'other' }).total, first.total);
+});
+
+test('simulate totals add up across the bet mix', () => {
+    const report = simulate({ rounds: 300, seed: 'mix', mix: { color: 2, 'number:7': 1 }, stake: 10 });
+    assert.equal(report.bets.color.staked, 6000);
+    assert.equal(report.bets['number:7'].staked, 3000);
+    assert.equal(report.total.staked, 9000);
+    assert.equal(report.total.returned, engine.roundCredit(report.bets.color.returned + report.bets['number:7'].returned));
+    assert.equal(report.total.rtp, report.total.returned / report.total.staked);
+});